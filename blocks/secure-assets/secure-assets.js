@@ -1,123 +1,777 @@
+import { isDMOpenAPIUrl, parseDMOpenAPIUrl } from '../../scripts/dm-openapi.js';
+
+const VERDICTS_STORAGE_KEY = 'aem-assets-secure-verdicts';
+const TOKEN_STORAGE_KEY = 'auth-token';
+const DEFAULT_VERDICT_TTL = 30 * 60;
+const DEFAULT_PROBE_CONCURRENCY = 4;
+const PUBLIC = 'public';
+const SECURE = 'secure';
+const MISSING = 'missing';
+// tolerated difference between the clocks of the browser and the token issuer, in seconds
+const CLOCK_SKEW = 30;
+// tokens from the provider are refreshed this many seconds before they expire
+const TOKEN_REFRESH_MARGIN = 60;
+// the longest delay of setTimeout, longer ones fire right away
+const MAX_TIMEOUT = 2 ** 31 - 1;
+// stands in for the renditions while the browser picks one, so that none is requested
+const RENDITION_STAND_IN = 'data:,rendition-';
+// how long to wait for the browser to pick a rendition, in milliseconds
+const RENDITION_SELECTION_TIMEOUT = 1000;
+const DEFAULT_SIGN_IN_TEXT = 'Sign in to view';
+
+// the configuration rows of the block, and how their value is read
+const GATE_OPTIONS = {
+  'teaser-image': (cell) => cell.querySelector('img')?.src || cell.querySelector('a')?.href
+    || cell.textContent.trim(),
+  'sign-in-link': (cell) => cell.querySelector('a')?.href || cell.textContent.trim(),
+  'sign-in-text': (cell) => cell.textContent.trim(),
+  'locked-text': (cell) => cell.textContent.trim(),
+};
+
 const securedImages = [];
 let placeholderImg;
 
+// the probes waiting for a slot, and the pending verdicts by asset
+const probeQueue = [];
+const pendingVerdicts = new Map();
+let runningProbes = 0;
+
+// the pending call to the token provider, the timers of the next refresh and of the expiry
+let pendingToken = null;
+let tokenRefreshTimer = null;
+let tokenExpiryTimer = null;
+// the token, when it is kept in memory only
+let memoryToken = null;
+
+// the restored images, with their rendition, object URL and breakpoint listeners
+const restoredImages = new Map();
+// the images waiting for an authorization, and the alternative content shown for them
+const lockedImages = new Set();
+const gates = new WeakMap();
+// the images of assets answering 404 without a token, checked again once there is one
+const unverifiedImages = new Set();
+
+/**
+ * Gets the key of the asset of a URL, shared by all its renditions
+ */
+function getAssetKey(src) {
+  const parsed = parseDMOpenAPIUrl(src, window.location.href);
+  return parsed ? `${parsed.host}/${parsed.assetId}` : src;
+}
+
+function readVerdicts() {
+  try {
+    return JSON.parse(sessionStorage.getItem(VERDICTS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
 /**
- * to check if given src is a DM OpenAPI URL
+ * Gets the cached verdict of an asset. The verdicts of the assets answering 404 without
+ * a token are ignored with a token, as these may be secure.
  */
-function isDMOpenAPIUrl(src) {
-  return /^(https?:\/\/(.*)\/adobe\/assets\/urn:aaid:aem:(.*))/gm.test(src);
+function getCachedVerdict(key, token = null) {
+  const entry = readVerdicts()[key];
+  if (!entry || entry.expires <= Date.now()) return null;
+  return entry.anonymous && token ? null : entry.verdict;
+}
+
+/**
+ * Caches the verdict of an asset for the session, for
+ * 'window.hlx.aemassets.secureAssetsCacheTTL' seconds (30 minutes by default)
+ * @param {object} [options]
+ * @param {boolean} [options.anonymous=false] Whether the asset was probed without a token
+ */
+function cacheVerdict(key, verdict, { anonymous = false } = {}) {
+  const ttl = window.hlx?.aemassets?.secureAssetsCacheTTL ?? DEFAULT_VERDICT_TTL;
+  const now = Date.now();
+  const verdicts = Object.fromEntries(Object.entries(readVerdicts())
+    .filter(([, entry]) => entry.expires > now));
+  verdicts[key] = { verdict, expires: now + ttl * 1000, ...(anonymous && { anonymous }) };
+  try {
+    sessionStorage.setItem(VERDICTS_STORAGE_KEY, JSON.stringify(verdicts));
+  } catch {
+    // storage is not available, the asset is probed again on the next page
+  }
+}
+
+/**
+ * Gets the secure hint of an image: the `data-secure` attribute of the image, its picture
+ * (e.g. from the asset picker) or its section (the `Secure` section metadata)
+ */
+function getSecureHint(img) {
+  const hint = img.closest('[data-secure]')?.dataset.secure.trim().toLowerCase();
+  if (['true', 'yes', SECURE].includes(hint)) return SECURE;
+  if (['false', 'no', PUBLIC].includes(hint)) return PUBLIC;
+  return null;
+}
+
+function runProbes() {
+  const concurrency = window.hlx?.aemassets?.secureAssetsConcurrency ?? DEFAULT_PROBE_CONCURRENCY;
+  if (runningProbes >= concurrency || probeQueue.length === 0) return;
+
+  const probe = probeQueue.shift();
+  runningProbes += 1;
+  probe().finally(() => {
+    runningProbes -= 1;
+    runProbes();
+  });
+  // fill the other free slots
+  runProbes();
+}
+
+function scheduleProbe(probe) {
+  return new Promise((resolve) => {
+    probeQueue.push(() => probe().then(resolve));
+    runProbes();
+  });
 }
 
 /**
- * to check if given src is a secure asset
+ * Probes an asset with HEAD requests. A 404 means a missing asset, but DM OpenAPI answers 404
+ * for secure assets too, so with a valid token the asset is probed again with it.
+ * @returns {Promise<string|null>} The verdict, or null if the asset could not be probed
  */
-async function isSecureAsset(src) {
-  let isSecure = false;
+async function probeAsset(src, token) {
   try {
     const response = await fetch(src, { method: 'HEAD' });
-    if (response.ok) {
-      isSecure = false;
-    } else if (response.status === 404) {
-      // 404 is thrown by DM OpenAPI if the asset is secure
-      isSecure = true;
-    }
+    if (response.ok) return PUBLIC;
+    if ([401, 403].includes(response.status)) return SECURE;
+    if (response.status !== 404) return null;
+    if (!token) return MISSING;
+
+    const authorized = await fetch(src, {
+      method: 'HEAD',
+      headers: {
+        'x-asset-delivery-token': token,
+      },
+    });
+    return authorized.status === 404 ? MISSING : SECURE;
   } catch {
-    isSecure = false;
+    return null;
   }
-  return isSecure;
 }
 
 /**
- * Replace the image with placeholder image in case of error
+ * Gets the verdict of an image: public, secure or missing. Hinted and cached verdicts skip
+ * the probe, and the probes of the same asset are shared.
  */
-function handleImageError(img) {
-  img.src = placeholderImg;
+async function getAssetVerdict(img, src, token) {
+  const hint = getSecureHint(img);
+  if (hint) return hint;
+
+  const key = getAssetKey(src);
+  const cached = getCachedVerdict(key, token);
+  if (cached) return cached;
+
+  if (!pendingVerdicts.has(key)) {
+    pendingVerdicts.set(key, scheduleProbe(() => probeAsset(src, token)).then((verdict) => {
+      pendingVerdicts.delete(key);
+      if (verdict) cacheVerdict(key, verdict, { anonymous: verdict === MISSING && !token });
+      return verdict;
+    }));
+  }
+  return pendingVerdicts.get(key);
+}
+
+/**
+ * Keeps the original renditions of a secure image, as the srcset of its sources and of the
+ * image are replaced: `data-original-src` on the sources and the image, and
+ * `data-original-srcset` on the image
+ */
+function captureOriginalRenditions(img) {
+  img.setAttribute('data-original-src', img.getAttribute('src'));
+  if (img.hasAttribute('srcset')) {
+    img.setAttribute('data-original-srcset', img.getAttribute('srcset'));
+  }
   img.closest('picture').querySelectorAll('source').forEach((source) => {
-    source.srcset = placeholderImg;
+    source.setAttribute('data-original-src', source.getAttribute('srcset'));
   });
 }
 
 /**
- * Try to restore the original image using the token
- * and fallback to placeholder image in case of error
+ * Lets the browser pick the rendition of a secure image for the current viewport, as it would
+ * for the original picture: from a detached copy of it, with stand-ins for the renditions
+ * @returns {Promise<{element: Element, src: string, descriptor: string}>} The rendition, and
+ * the source or image it is picked from
  */
-function restoreOriginalImage(img, token) {
-  fetch(img.getAttribute('data-original-src'), {
-    headers: {
-      'x-asset-delivery-token': token,
-    },
-  }).then(async (resp) => {
-    if (resp.status === 200) {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const base64Data = reader.result;
-        img.setAttribute('src', base64Data);
-        img.closest('picture').querySelectorAll('source').forEach((el) => {
-          el.setAttribute('srcset', base64Data);
-        });
-      };
-      reader.readAsDataURL(await resp.blob());
+function selectRendition(img) {
+  const renditions = [];
+  const standIn = (element, srcset) => srcset.split(/,\s+/).map((candidate) => {
+    const [src, ...descriptors] = candidate.trim().split(/\s+/);
+    renditions.push({ element, src, descriptor: descriptors.join(' ') });
+    return [`${RENDITION_STAND_IN}${renditions.length - 1}`, ...descriptors].join(' ');
+  }).join(', ');
+
+  const picture = document.createElement('picture');
+  img.closest('picture').querySelectorAll('source').forEach((source) => {
+    const copy = source.cloneNode(false);
+    copy.setAttribute('srcset', standIn(source, source.getAttribute('data-original-src')));
+    picture.append(copy);
+  });
+  const copy = img.cloneNode(false);
+  // detached images are never in view, lazy ones would not pick any rendition
+  copy.loading = 'eager';
+  copy.setAttribute('src', standIn(img, img.getAttribute('data-original-src')));
+  if (img.hasAttribute('data-original-srcset')) {
+    copy.setAttribute('srcset', standIn(img, img.getAttribute('data-original-srcset')));
+  }
+
+  return new Promise((resolve) => {
+    const pick = () => {
+      const { currentSrc } = copy;
+      const index = currentSrc.startsWith(RENDITION_STAND_IN)
+        ? Number(currentSrc.slice(RENDITION_STAND_IN.length))
+        : -1;
+      // the src of the image if the browser did not pick any
+      resolve(renditions[index] || {
+        element: img, src: img.getAttribute('data-original-src'), descriptor: '',
+      });
+    };
+    // the stand-ins are no images, so the copy fails to load once it picked one
+    copy.addEventListener('error', pick, { once: true });
+    copy.addEventListener('load', pick, { once: true });
+    setTimeout(pick, RENDITION_SELECTION_TIMEOUT);
+    picture.append(copy);
+  });
+}
+
+function isSameRendition(a, b) {
+  return !!a && !!b && a.element === b.element && a.src === b.src;
+}
+
+/**
+ * Revokes the object URL of a restored image and stops following the breakpoints
+ */
+function releaseImage(img) {
+  const restored = restoredImages.get(img);
+  if (!restored) return;
+  restoredImages.delete(img);
+  restored.unwatch();
+  if (restored.objectUrl) URL.revokeObjectURL(restored.objectUrl);
+}
+
+/**
+ * Sets the original renditions back on a source or an image
+ */
+function resetOriginalRenditions(element) {
+  const isImg = element.tagName === 'IMG';
+  const srcset = element.getAttribute(isImg ? 'data-original-srcset' : 'data-original-src');
+  if (srcset) element.setAttribute('srcset', srcset);
+  else element.removeAttribute('srcset');
+  if (isImg) element.setAttribute('src', element.getAttribute('data-original-src'));
+}
+
+/**
+ * Replace the image with placeholder image in case of error, or keep the original renditions
+ * if there is no placeholder image
+ */
+function handleImageError(img, placeholder = placeholderImg) {
+  releaseImage(img);
+  const sources = img.closest('picture').querySelectorAll('source');
+  if (!placeholder) {
+    [...sources, img].forEach(resetOriginalRenditions);
+    return;
+  }
+  img.src = placeholder;
+  img.removeAttribute('srcset');
+  sources.forEach((source) => {
+    source.srcset = placeholder;
+  });
+}
+
+/**
+ * Parses a configuration row of the block, e.g. `Sign In Link | https://…`
+ * @returns {{name: string, value: string}|null} The option, or null for content rows
+ */
+function parseOptionRow(row) {
+  const cells = [...row.children];
+  if (cells.length !== 2 || cells[0].querySelector('a, picture, img')) return null;
+
+  const name = cells[0].textContent.trim().toLowerCase().replace(/[^0-9a-z]+/g, '-');
+  if (!GATE_OPTIONS[name]) return null;
+  return { name, value: GATE_OPTIONS[name](cells[1]) };
+}
+
+/**
+ * Extracts the configuration rows of the block, removing them from the block. The options are
+ * set as data attributes, on the block for the rows before the first content row, else on the
+ * images of the content row above them.
+ */
+function extractGateOptions(block) {
+  let targets = [block];
+  [...block.children].forEach((row) => {
+    const option = parseOptionRow(row);
+    if (!option) {
+      targets = [...row.querySelectorAll('img')];
+      return;
+    }
+
+    row.remove();
+    if (option.value) {
+      targets.forEach((target) => target.setAttribute(`data-${option.name}`, option.value));
+    }
+  });
+}
+
+/**
+ * Gets an option of the alternative content of an image: from the rows of the block for
+ * the image or the block, else from the section metadata
+ */
+function getGateOption(img, name) {
+  return img.closest(`[data-${name}]`)?.getAttribute(`data-${name}`) || null;
+}
+
+/**
+ * Creates the alternative content shown over a locked image: the locked text and the sign-in
+ * call to action, a link or, without one, a button for the login flow of the site
+ * @returns {Element|null} The content, or null if there is none for the image
+ */
+function createGate(img) {
+  const lockedText = getGateOption(img, 'locked-text');
+  const signInLink = getGateOption(img, 'sign-in-link');
+  const signInText = getGateOption(img, 'sign-in-text');
+  if (!lockedText && !signInLink && !signInText) return null;
+
+  const gate = document.createElement('div');
+  gate.className = 'secure-assets-gate';
+  if (lockedText) {
+    const text = document.createElement('p');
+    text.textContent = lockedText;
+    gate.append(text);
+  }
+
+  if (signInLink || signInText) {
+    const cta = document.createElement(signInLink ? 'a' : 'button');
+    cta.className = 'button';
+    if (signInLink) {
+      cta.href = signInLink;
     } else {
-      handleImageError(img);
+      cta.type = 'button';
     }
+    cta.textContent = signInText || DEFAULT_SIGN_IN_TEXT;
+    cta.addEventListener('click', (event) => {
+      // the site can start its own login flow instead of following the link
+      const signIn = new CustomEvent('secure-asset-sign-in', {
+        detail: { img, href: signInLink },
+        cancelable: true,
+      });
+      if (!document.dispatchEvent(signIn)) event.preventDefault();
+    });
+    const container = document.createElement('p');
+    container.className = 'button-container';
+    container.append(cta);
+    gate.append(container);
+  }
+  return gate;
+}
+
+/**
+ * Locks a secure image the visitor is not authorized for: shows its teaser image (else the
+ * placeholder image) and its alternative content, until it is restored
+ */
+function lockImage(img) {
+  handleImageError(img, getGateOption(img, 'teaser-image') || placeholderImg);
+
+  const picture = img.closest('picture');
+  if (!gates.has(img)) {
+    gates.set(img, createGate(img));
+    if (gates.get(img)) picture.after(gates.get(img));
+  }
+  if (gates.get(img)) gates.get(img).hidden = false;
+  picture.parentElement.classList.add('secure-assets-locked');
+
+  if (!lockedImages.has(img)) {
+    lockedImages.add(img);
+    document.dispatchEvent(new CustomEvent('secure-asset-locked', { detail: { img } }));
+  }
+}
+
+/**
+ * Hides the alternative content of a restored image
+ */
+function unlockImage(img) {
+  if (!lockedImages.delete(img)) return;
+  if (gates.get(img)) gates.get(img).hidden = true;
+  img.closest('picture').parentElement.classList.remove('secure-assets-locked');
+  document.dispatchEvent(new CustomEvent('secure-asset-unlocked', { detail: { img } }));
+}
+
+/**
+ * Shows the restored rendition of a secure image, from the source or the image it was picked
+ * from, and revokes the object URL of the rendition it replaces. The other sources keep their
+ * original renditions, the next breakpoint change restores the one the browser picks then.
+ */
+function showRendition(img, rendition, objectUrl) {
+  const restored = restoredImages.get(img);
+  // the descriptor keeps the density, hence the rendered size, of the rendition
+  const srcset = [objectUrl, rendition.descriptor].filter(Boolean).join(' ');
+  [...img.closest('picture').querySelectorAll('source'), img].forEach((element) => {
+    if (element !== rendition.element) resetOriginalRenditions(element);
   });
+  if (rendition.element === img) {
+    img.src = objectUrl;
+    if (rendition.descriptor) img.srcset = srcset;
+    else img.removeAttribute('srcset');
+  } else {
+    rendition.element.srcset = srcset;
+  }
+
+  if (restored.objectUrl) URL.revokeObjectURL(restored.objectUrl);
+  restored.objectUrl = objectUrl;
+  unlockImage(img);
 }
 
 /**
- * checking if the JWT token is valid
+ * Gets the storage of the delivery token, from 'window.hlx.aemassets.secureAssetsTokenStorage':
+ * `local` (the default) for localStorage, `session` for sessionStorage or `memory`
+ * to keep it for the page only
+ */
+function getTokenStorage() {
+  const storage = window.hlx?.aemassets?.secureAssetsTokenStorage;
+  if (storage === 'memory') return null;
+  return storage === 'session' ? sessionStorage : localStorage;
+}
+
+function readToken() {
+  const storage = getTokenStorage();
+  if (!storage) return memoryToken;
+  try {
+    return storage.getItem(TOKEN_STORAGE_KEY);
+  } catch {
+    return memoryToken;
+  }
+}
+
+function storeToken(token) {
+  memoryToken = token;
+  try {
+    getTokenStorage()?.setItem(TOKEN_STORAGE_KEY, token);
+  } catch {
+    // storage is not available, the token is kept in memory
+  }
+}
+
+/**
+ * Forgets the delivery token, from all the storages it may have been kept in
+ */
+function clearToken() {
+  memoryToken = null;
+  [localStorage, sessionStorage].forEach((storage) => {
+    try {
+      storage.removeItem(TOKEN_STORAGE_KEY);
+    } catch {
+      // storage is not available, there is nothing to clear
+    }
+  });
+}
+
+/**
+ * Decodes the payload of a JWT token
+ */
+function decodeJWTPayload(token) {
+  const [, payload] = token.split('.');
+  // JWT use the URL safe base64 alphabet, without padding
+  const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+}
+
+/**
+ * Gets the expiry time of a JWT token, in milliseconds, from its `exp` or `expiry` claim
+ */
+function getTokenExpiry(token) {
+  const decodedPayload = decodeJWTPayload(token);
+  return decodedPayload.exp
+    ? decodedPayload.exp * 1000
+    : new Date(decodedPayload.expiry).getTime();
+}
+
+/**
+ * checking if the JWT token is valid: not expired and already valid (`nbf`),
+ * with a tolerance of CLOCK_SKEW seconds on the clock of the browser
  */
 function isJWTTokenValid(token) {
   let isValid = false;
   try {
-    const [, payload] = token.split('.');
-    const decodedPayload = JSON.parse(atob(payload));
-    if (!decodedPayload.exp) {
-      isValid = (new Date(decodedPayload.expiry).getTime()) > Date.now();
-    } else {
-      isValid = decodedPayload.exp > (Date.now() / 1000);
-    }
+    const now = Date.now();
+    const { nbf } = decodeJWTPayload(token);
+    // a token expiring within the skew may already be expired for the server
+    isValid = getTokenExpiry(token) > now + CLOCK_SKEW * 1000
+      && !(nbf > (now / 1000) + CLOCK_SKEW);
   } catch {
     isValid = false;
   }
   return isValid;
 }
 
-export default function decorate(block) {
-  placeholderImg = document.querySelector('.secure-assets-container')?.getAttribute('data-placeholder-image');
-  const images = block.querySelectorAll('img');
-  const authToken = localStorage.getItem('auth-token');
-
-  images.forEach(async (img) => {
-    const src = img.getAttribute('src');
-    if (!securedImages.includes(img) && isDMOpenAPIUrl(src) && await isSecureAsset(src)) {
-      // Identify all secure images and push them into securedImages map
-      securedImages.push(img);
-
-      // capture the original src and replace the src with placeholder image
-      img.setAttribute('data-original-src', src);
-      if (authToken && isJWTTokenValid(authToken)) {
-        // If auth token is already available in localStorage, restore the original image
-        restoreOriginalImage(img, authToken);
-      } else {
-        img.src = placeholderImg;
-        img.closest('picture').querySelectorAll('source').forEach((source) => {
-          // capture the original src and replace the src with placeholder image
-          source.setAttribute('data-original-src', source.srcset);
-          source.srcset = placeholderImg;
-        });
+/**
+ * Refreshes the token from the provider shortly before it expires,
+ * so the next secure asset request does not wait for it
+ */
+function scheduleTokenRefresh(token) {
+  clearTimeout(tokenRefreshTimer);
+  const delay = getTokenExpiry(token) - TOKEN_REFRESH_MARGIN * 1000 - Date.now();
+  // short-lived tokens are only refreshed when they are needed
+  if (delay <= 0) return;
+  tokenRefreshTimer = setTimeout(
+    // eslint-disable-next-line no-use-before-define
+    () => getDeliveryToken({ refresh: true }),
+    Math.min(delay, MAX_TIMEOUT),
+  );
+}
+
+/**
+ * Forgets the delivery token and shows the placeholder image again for the secure images,
+ * revoking the object URLs of the restored ones
+ */
+function revokeToken() {
+  clearTimeout(tokenRefreshTimer);
+  clearTimeout(tokenExpiryTimer);
+  tokenRefreshTimer = null;
+  tokenExpiryTimer = null;
+  clearToken();
+  securedImages.forEach((img) => lockImage(img));
+}
+
+/**
+ * Revokes the token when it expires, unless the token provider has a fresh one
+ */
+function scheduleTokenExpiry(token) {
+  clearTimeout(tokenExpiryTimer);
+  const delay = getTokenExpiry(token) - CLOCK_SKEW * 1000 - Date.now();
+  if (delay > MAX_TIMEOUT) {
+    tokenExpiryTimer = setTimeout(() => scheduleTokenExpiry(token), MAX_TIMEOUT);
+    return;
+  }
+  tokenExpiryTimer = setTimeout(async () => {
+    // eslint-disable-next-line no-use-before-define
+    if (!await requestToken(true)) revokeToken();
+  }, Math.max(delay, 0));
+}
+
+/**
+ * Follows a valid token: refreshes it from the token provider, if any, and revokes it
+ * when it expires
+ */
+function watchToken(token) {
+  if (window.hlx?.aemassets?.getDeliveryToken) scheduleTokenRefresh(token);
+  scheduleTokenExpiry(token);
+}
+
+/**
+ * Calls the token provider 'window.hlx.aemassets.getDeliveryToken', once at a time.
+ * The provider gets `{ refresh }`, true if the current token is rejected or about to expire,
+ * and returns (a promise of) the token or nothing.
+ */
+function requestToken(refresh) {
+  const provider = window.hlx?.aemassets?.getDeliveryToken;
+  if (typeof provider !== 'function') return Promise.resolve(null);
+
+  if (!pendingToken) {
+    pendingToken = Promise.resolve()
+      .then(() => provider({ refresh }))
+      .then((token) => {
+        if (!token || !isJWTTokenValid(token)) return null;
+        storeToken(token);
+        watchToken(token);
+        return token;
+      })
+      .catch(() => null)
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+  return pendingToken;
+}
+
+/**
+ * Gets a valid delivery token: the stored one or, if there is none or a fresh one is
+ * needed, the one of the token provider
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false] Whether to get a fresh token from the provider
+ * @returns {Promise<string|null>} The token, or null if there is no valid token
+ */
+async function getDeliveryToken({ refresh = false } = {}) {
+  const storedToken = readToken();
+  if (!refresh && storedToken && isJWTTokenValid(storedToken)) return storedToken;
+  return requestToken(refresh);
+}
+
+function fetchSecureAsset(src, token) {
+  return fetch(src, {
+    headers: {
+      'x-asset-delivery-token': token,
+    },
+  });
+}
+
+/**
+ * Restores a secure image again when the viewport crosses a breakpoint of its picture:
+ * the media of its sources and the media conditions of their sizes
+ * @returns {function} Stops following the breakpoints
+ */
+function watchBreakpoints(img) {
+  const queries = new Set();
+  [...img.closest('picture').querySelectorAll('source'), img].forEach((element) => {
+    if (element.getAttribute('media')) queries.add(element.getAttribute('media'));
+    (element.getAttribute('sizes') || '').split(/,\s*/).slice(0, -1).forEach((size) => {
+      const condition = size.trim().replace(/\s*\S+$/, '');
+      if (condition) queries.add(condition);
+    });
+  });
+
+  const onChange = async () => {
+    if (!img.isConnected) {
+      releaseImage(img);
+      return;
+    }
+    const token = await getDeliveryToken();
+    // eslint-disable-next-line no-use-before-define
+    if (token) restoreOriginalImage(img, token);
+  };
+  const mediaQueryLists = [...queries].map((query) => window.matchMedia(query));
+  mediaQueryLists.forEach((mql) => mql.addEventListener('change', onChange));
+  return () => mediaQueryLists.forEach((mql) => mql.removeEventListener('change', onChange));
+}
+
+/**
+ * Try to restore the original image using the token, retrying once with a fresh token
+ * if it is rejected, and fallback to placeholder image in case of error.
+ * Only the rendition the browser picks for the current viewport is fetched, and shown
+ * from an object URL.
+ */
+async function restoreOriginalImage(img, token) {
+  const rendition = await selectRendition(img);
+  // the token was revoked meanwhile
+  if (!readToken()) return;
+  let restored = restoredImages.get(img);
+  if (isSameRendition(restored?.rendition, rendition)) return;
+  if (!restored) {
+    restored = { unwatch: watchBreakpoints(img) };
+    restoredImages.set(img, restored);
+  }
+  restored.rendition = rendition;
+  // another rendition may be requested meanwhile, on a breakpoint change
+  const isCurrent = () => restoredImages.get(img)?.rendition === rendition;
+
+  try {
+    let resp = await fetchSecureAsset(rendition.src, token);
+    if ([401, 403].includes(resp.status)) {
+      const freshToken = await getDeliveryToken({ refresh: true });
+      if (freshToken && freshToken !== token) {
+        resp = await fetchSecureAsset(rendition.src, freshToken);
       }
     }
-  });
 
-  // Listen for auth-token-available event to restore the original images
-  // Refer README.md for more details & examples
-  document.addEventListener('auth-token-available', (event) => {
-    const token = event.detail;
-    localStorage.setItem('auth-token', token);
-    securedImages.forEach((img) => {
-      if (token && isJWTTokenValid(token)) {
-        restoreOriginalImage(img, token);
+    if (resp.status === 200) {
+      const objectUrl = URL.createObjectURL(await resp.blob());
+      if (isCurrent()) {
+        showRendition(img, rendition, objectUrl);
+      } else {
+        URL.revokeObjectURL(objectUrl);
       }
-    });
+      return;
+    }
+    if (resp.status === 404) {
+      // the asset is not there, even with a token
+      cacheVerdict(getAssetKey(rendition.src), MISSING);
+    }
+    if (!isCurrent()) return;
+    if ([401, 403].includes(resp.status)) {
+      // the visitor is not authorized for the asset
+      lockImage(img);
+    } else {
+      handleImageError(img);
+    }
+  } catch {
+    if (isCurrent()) handleImageError(img);
+  }
+}
+
+/**
+ * Secures the image of a secure asset: keeps its original renditions, and restores them with
+ * the stored token or else the one of the token provider, or locks the image without one
+ */
+async function secureImage(img, validToken) {
+  const verdict = await getAssetVerdict(img, img.getAttribute('src'), validToken);
+  if (verdict === MISSING && !validToken) unverifiedImages.add(img);
+  if (verdict !== SECURE || securedImages.includes(img)) return;
+
+  // Identify all secure images and push them into securedImages map
+  securedImages.push(img);
+
+  // capture the original renditions, they are replaced with the restored one or with
+  // the placeholder image
+  captureOriginalRenditions(img);
+  const token = await getDeliveryToken();
+  if (token) {
+    restoreOriginalImage(img, token);
+  } else {
+    lockImage(img);
+  }
+}
+
+/**
+ * Stores the token of the `auth-token-available` event and restores the secure images of all
+ * the blocks with it. The images of assets answering 404 without a token are checked again.
+ * An invalid token is not stored, and clears the stored one.
+ */
+function handleTokenAvailable(event) {
+  const token = event.detail;
+  if (!token || !isJWTTokenValid(token)) {
+    clearToken();
+    return;
+  }
+  storeToken(token);
+  watchToken(token);
+  securedImages.forEach((img) => restoreOriginalImage(img, token));
+  const unverified = [...unverifiedImages];
+  unverifiedImages.clear();
+  unverified.forEach((img) => secureImage(img, token));
+}
+
+// Listen for auth-token-available event to restore the original images, and for
+// auth-token-revoked event, e.g. on sign-out, to secure them again. Once for all the blocks.
+// Refer README.md for more details & examples
+document.addEventListener('auth-token-available', handleTokenAvailable);
+document.addEventListener('auth-token-revoked', revokeToken);
+
+export default function decorate(block) {
+  placeholderImg = document.querySelector('.secure-assets-container')?.getAttribute('data-placeholder-image');
+  extractGateOptions(block);
+  const images = block.querySelectorAll('img');
+  const authToken = readToken();
+  // the stored token tells missing assets from secure ones, the provider is only called
+  // when secure assets are found
+  const validToken = authToken && isJWTTokenValid(authToken) ? authToken : null;
+  if (validToken && !tokenExpiryTimer) {
+    watchToken(validToken);
+  }
+
+  images.forEach((img) => {
+    // the renditions are restored per source, images without a picture are left as they are
+    if (!securedImages.includes(img) && img.closest('picture')
+      && isDMOpenAPIUrl(img.getAttribute('src'))) {
+      secureImage(img, validToken);
+    }
   });
 }
+
+// Create an object with the test functions
+const testFunctions = {
+  getAssetKey,
+  getCachedVerdict,
+  cacheVerdict,
+  getSecureHint,
+  getAssetVerdict,
+  decodeJWTPayload,
+  isJWTTokenValid,
+  readToken,
+  storeToken,
+  clearToken,
+  parseOptionRow,
+};
+
+// Export the object
+export { testFunctions };
@@ -0,0 +1,127 @@
+/*
+ * The configuration rows of the video block, e.g. `Loop | false` or `Start | 0:30`.
+ */
+
+/**
+ * Gets the key of a configuration row from its first cell, e.g. `playback-rate` for
+ * `Playback Rate`, like toClassName of aem.js
+ */
+function toOptionKey(text) {
+  return text.toLowerCase().replace(/[^0-9a-z]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+function parseBooleanOption(cell) {
+  const value = cell.textContent.trim().toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(value)) return true;
+  if (['false', 'no', 'off', '0'].includes(value)) return false;
+  return undefined;
+}
+
+/**
+ * Parses a time in seconds, e.g. `90`, `90s`, `1:30` or `1:01:30`.
+ */
+function parseTimeOption(cell) {
+  const value = cell.textContent.trim().replace(/s$/i, '');
+  if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(value)) return undefined;
+  return value.split(':').reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+function parsePlaybackRateOption(cell) {
+  const rate = parseFloat(cell.textContent.trim().replace(/x$/i, ''));
+  return rate > 0 ? rate : undefined;
+}
+
+function parsePositiveIntegerOption(cell) {
+  const value = Number(cell.textContent.trim());
+  return Number.isInteger(value) && value > 0 ? value : undefined;
+}
+
+function parsePreloadOption(cell) {
+  const value = cell.textContent.trim().toLowerCase();
+  return ['none', 'metadata', 'auto'].includes(value) ? value : undefined;
+}
+
+/**
+ * Parses an aspect ratio, e.g. `16:9`, `16/9` or `16x9`, into the `16:9` format of video.js.
+ */
+function parseAspectRatioOption(cell) {
+  const match = /^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/i.exec(cell.textContent.trim());
+  return match ? `${match[1]}:${match[2]}` : undefined;
+}
+
+/**
+ * Parses a poster override: an image in the cell, or a link to or the URL of an image.
+ */
+function parsePosterOption(cell) {
+  const picture = cell.querySelector('picture');
+  if (picture) return picture;
+
+  const src = cell.querySelector('a')?.href || cell.textContent.trim();
+  if (!src) return undefined;
+  const img = document.createElement('img');
+  img.src = src;
+  img.alt = '';
+  img.loading = 'lazy';
+  const posterPicture = document.createElement('picture');
+  posterPicture.append(img);
+  return posterPicture;
+}
+
+/**
+ * The options of the configuration rows, by the key in the first cell
+ */
+const VIDEO_OPTIONS = {
+  loop: ['loop', parseBooleanOption],
+  muted: ['muted', parseBooleanOption],
+  controls: ['controls', parseBooleanOption],
+  start: ['start', parseTimeOption],
+  end: ['end', parseTimeOption],
+  'playback-rate': ['playbackRate', parsePlaybackRateOption],
+  preload: ['preload', parsePreloadOption],
+  'aspect-ratio': ['aspectRatio', parseAspectRatioOption],
+  poster: ['posterImage', parsePosterOption],
+  'max-players': ['maxPlayers', parsePositiveIntegerOption],
+};
+
+/**
+ * Parses a configuration row, e.g. `Playback Rate | 1.5x`
+ * @returns {{name: string, value: *}|null} The option, its value undefined if it is invalid,
+ *   or null for content rows
+ */
+export function parseOptionRow(row) {
+  const cells = [...row.children];
+  if (cells.length !== 2 || cells[0].querySelector('a, picture, img')) return null;
+
+  const option = VIDEO_OPTIONS[toOptionKey(cells[0].textContent)];
+  if (!option) return null;
+  const [name, parse] = option;
+  return { name, value: parse(cells[1]) };
+}
+
+/**
+ * Extracts the configuration rows of a block, e.g. `Loop | false` or `Start | 0:30`,
+ * removing them from the block. Rows with an invalid value are ignored.
+ * @returns {{options: object, cards: Map<Element, object>}} The options before the first
+ *   content row, and the options following each content row, e.g. the cards of `inline` blocks
+ */
+export function extractOptions(block) {
+  const options = {};
+  const cards = new Map();
+  let card = null;
+
+  [...block.children].forEach((row) => {
+    const option = parseOptionRow(row);
+    if (!option) {
+      card = row;
+      cards.set(card, {});
+      return;
+    }
+
+    row.remove();
+    if (option.value !== undefined) {
+      (card ? cards.get(card) : options)[option.name] = option.value;
+    }
+  });
+
+  return { options, cards };
+}
@@ -0,0 +1,153 @@
+import { isDMOpenAPIVideoUrl } from '../../scripts/aem-assets.js';
+
+/*
+ * The video sources of the video block: the providers of the video links and how they play,
+ * natively, with video.js or embedded in an iframe.
+ */
+
+function getDeviceSpecificVideoUrl(videoUrl) {
+  const { userAgent } = navigator;
+  const isIOS = /iPad|iPhone|iPod/.test(userAgent);
+  const isSafari = (/Safari/i).test(userAgent) && !(/Chrome/i).test(userAgent) && !(/CriOs/i).test(userAgent) && !(/Android/i).test(userAgent) && !(/Edg/i).test(userAgent);
+
+  const manifest = (isIOS || isSafari) ? 'manifest.m3u8' : 'manifest.mpd';
+  return videoUrl.replace(/manifest\.mpd|manifest\.m3u8|play/, manifest);
+}
+
+/**
+ * Checks if the browser plays a video URL without video.js: HLS manifests on browsers
+ * supporting HLS (Safari and iOS) and progressive files, but not DASH which requires MSE.
+ */
+function canPlayNatively(videoUrl) {
+  const { pathname } = new URL(videoUrl, window.location.href);
+  if (/\.mpd$/i.test(pathname)) return false;
+  if (/\.m3u8$/i.test(pathname)) {
+    return document.createElement('video').canPlayType('application/vnd.apple.mpegurl') !== '';
+  }
+  return true;
+}
+
+function getYouTubeId(url) {
+  if (url.hostname === 'youtu.be') return url.pathname.substring(1) || null;
+  if (!/(?:^|\.)youtube(?:-nocookie)?\.com$/.test(url.hostname)) return null;
+  return url.searchParams.get('v') || /^\/(?:embed|shorts|live)\/([^/]+)/.exec(url.pathname)?.[1] || null;
+}
+
+/**
+ * Gets the privacy-enhanced YouTube embed URL, which does not set cookies until the video plays.
+ */
+function getYouTubeEmbedUrl(url, {
+  autoplay, muted, loop, controls, start, end,
+}) {
+  const id = getYouTubeId(url);
+  const embedUrl = new URL(`https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}`);
+  embedUrl.searchParams.set('rel', '0');
+  embedUrl.searchParams.set('playsinline', '1');
+  if (autoplay) embedUrl.searchParams.set('autoplay', '1');
+  if (muted) embedUrl.searchParams.set('mute', '1');
+  if (loop) {
+    embedUrl.searchParams.set('loop', '1');
+    // looping a single video requires it to be its own playlist
+    embedUrl.searchParams.set('playlist', id);
+  }
+  if (controls === false) embedUrl.searchParams.set('controls', '0');
+  if (start) embedUrl.searchParams.set('start', Math.floor(start));
+  if (end) embedUrl.searchParams.set('end', Math.ceil(end));
+  return embedUrl.href;
+}
+
+function getVimeoId(url) {
+  if (!/(?:^|\.)vimeo\.com$/.test(url.hostname)) return null;
+  const [, id, hash] = /^\/(?:video\/)?(\d+)(?:\/([\da-f]+))?/.exec(url.pathname) || [];
+  return id ? { id, hash: url.searchParams.get('h') || hash } : null;
+}
+
+/**
+ * Gets the Vimeo embed URL, with tracking disabled.
+ */
+function getVimeoEmbedUrl(url, {
+  autoplay, muted, loop, controls, start,
+}) {
+  const { id, hash } = getVimeoId(url);
+  const embedUrl = new URL(`https://player.vimeo.com/video/${id}`);
+  if (hash) embedUrl.searchParams.set('h', hash);
+  embedUrl.searchParams.set('dnt', '1');
+  if (autoplay) embedUrl.searchParams.set('autoplay', '1');
+  if (muted) embedUrl.searchParams.set('muted', '1');
+  if (loop) embedUrl.searchParams.set('loop', '1');
+  if (controls === false) embedUrl.searchParams.set('controls', '0');
+  // Vimeo embeds have no end time
+  if (start) embedUrl.hash = `t=${Math.floor(start)}s`;
+  return embedUrl.href;
+}
+
+/**
+ * The video providers, matched in order against the URL of the video link. Their `type` is
+ * `stream` for adaptive streaming, `file` for progressive files or `embed` for iframe embeds.
+ * The last one keeps the links that do not match any other provider playing as DM videos.
+ */
+const VIDEO_PROVIDERS = [{
+  name: 'youtube',
+  type: 'embed',
+  match: (url) => !!getYouTubeId(url),
+  getEmbedUrl: getYouTubeEmbedUrl,
+}, {
+  name: 'vimeo',
+  type: 'embed',
+  match: (url) => !!getVimeoId(url),
+  getEmbedUrl: getVimeoEmbedUrl,
+}, {
+  name: 'dm-openapi',
+  type: 'stream',
+  match: (url) => isDMOpenAPIVideoUrl(url.href),
+  getUrl: getDeviceSpecificVideoUrl,
+}, {
+  name: 'scene7',
+  type: 'stream',
+  match: (url) => /^\/(?:is\/content|hls|dash)\/.+\.(?:m3u8|mpd)$/i.test(url.pathname),
+}, {
+  name: 'scene7',
+  type: 'file',
+  match: (url) => url.pathname.startsWith('/is/content/'),
+}, {
+  name: 'stream',
+  type: 'stream',
+  match: (url) => /\.(?:m3u8|mpd)$/i.test(url.pathname),
+}, {
+  name: 'file',
+  type: 'file',
+  match: (url) => /\.(?:mp4|m4v|webm|ogv|mov)$/i.test(url.pathname),
+}, {
+  name: 'dm',
+  type: 'stream',
+  match: () => true,
+  getUrl: getDeviceSpecificVideoUrl,
+}];
+
+/**
+ * Resolves the video link of a block: the provider, the URL to play and whether it plays
+ * natively, with video.js or, for `embed` sources, in an iframe.
+ */
+export function resolveVideoSource(href, mode) {
+  const url = new URL(href, window.location.href);
+  const provider = VIDEO_PROVIDERS.find(({ match }) => match(url));
+  if (provider.type === 'embed') {
+    return {
+      provider: provider.name, videoUrl: url.href, native: false, embed: true,
+    };
+  }
+
+  const videoUrl = provider.getUrl ? provider.getUrl(url.href) : url.href;
+  return {
+    provider: provider.name,
+    videoUrl,
+    native: mode === 'native' && canPlayNatively(videoUrl),
+    embed: false,
+  };
+}
+
+export function getEmbedUrl(provider, videoUrl, options) {
+  const { getEmbedUrl: getProviderEmbedUrl } = VIDEO_PROVIDERS
+    .find(({ name, type }) => name === provider && type === 'embed');
+  return getProviderEmbedUrl(new URL(videoUrl), options);
+}
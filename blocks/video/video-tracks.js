@@ -0,0 +1,108 @@
+/*
+ * The caption and subtitle tracks of the video block, authored as WebVTT links.
+ */
+
+const CAPTIONS_PREFERENCE_KEY = 'aem-assets-video-captions';
+const CAPTIONS_OFF = 'off';
+
+function getLanguageLabel(language) {
+  try {
+    const displayNames = new Intl.DisplayNames([document.documentElement.lang || 'en'], { type: 'language' });
+    return displayNames.of(language);
+  } catch (e) {
+    return language;
+  }
+}
+
+/**
+ * Parses a WebVTT link into a text track. The language comes from the link text, e.g.
+ * `English (en)`, or from the file name, e.g. `captions.en.vtt` or `captions_en-US.vtt`.
+ * Tracks are captions unless the link text or file name mentions subtitles.
+ */
+export function parseTextTrack(link) {
+  const { pathname } = new URL(link.href);
+  const filename = decodeURIComponent(pathname.split('/').pop());
+  const text = link.textContent.trim();
+  const isUrlText = !text || text === link.href || text === link.getAttribute('href');
+
+  const textLanguage = !isUrlText && /\(([a-z]{2,3}(?:-[a-z0-9]+)*)\)$/i.exec(text)?.[1];
+  const fileLanguage = /[._-]([a-z]{2,3}(?:[-_][a-z0-9]{2,4})?)\.vtt$/i.exec(filename)?.[1];
+  const srclang = (textLanguage || fileLanguage || document.documentElement.lang || 'en').replace('_', '-');
+  const label = isUrlText ? getLanguageLabel(srclang) : text.replace(/\s*\([^)]*\)$/, '');
+
+  return {
+    kind: /subtitle/i.test(`${text} ${filename}`) ? 'subtitles' : 'captions',
+    src: link.href,
+    srclang,
+    label,
+  };
+}
+
+/**
+ * Extracts the WebVTT caption and subtitle links authored in a container, removing them
+ * (and the paragraphs left empty) so they are not mistaken for the video link or the button.
+ */
+export function extractTextTracks(container) {
+  const links = [...container.querySelectorAll('a[href]')]
+    .filter((link) => /\.vtt$/i.test(new URL(link.href).pathname));
+
+  return links.map((link) => {
+    const track = parseTextTrack(link);
+    const parent = link.closest('p') || link;
+    link.remove();
+    if (parent !== link && !parent.textContent.trim()) parent.remove();
+    return track;
+  });
+}
+
+function getCaptionsPreference() {
+  try {
+    return localStorage.getItem(CAPTIONS_PREFERENCE_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+function setCaptionsPreference(language) {
+  try {
+    localStorage.setItem(CAPTIONS_PREFERENCE_KEY, language);
+  } catch (e) {
+    // storage is not available, the preference is not remembered
+  }
+}
+
+/**
+ * Marks the track to show by default: the one the viewer picked last time,
+ * or else the first one matching the page language.
+ */
+export function selectDefaultTrack(tracks) {
+  const preference = getCaptionsPreference();
+  if (preference === CAPTIONS_OFF) return tracks;
+
+  const matches = (language) => (track) => track.srclang.toLowerCase() === language
+    || track.srclang.toLowerCase().split('-')[0] === language.split('-')[0];
+  const pageLanguage = (document.documentElement.lang || '').toLowerCase();
+  const defaultTrack = (preference && tracks.find(matches(preference.toLowerCase())))
+    || (pageLanguage && tracks.find(matches(pageLanguage)));
+
+  return tracks.map((track) => ({ ...track, default: track === defaultTrack }));
+}
+
+export function setupTextTracks(player, tracks) {
+  const selectedTracks = selectDefaultTrack(tracks);
+  selectedTracks.forEach((track) => {
+    player.addRemoteTextTrack(track, false);
+  });
+
+  // remember the captions the viewer picks, or that they turned them off
+  const defaultLanguage = selectedTracks.find((track) => track.default)?.srclang ?? CAPTIONS_OFF;
+  const textTracks = player.textTracks();
+  textTracks.addEventListener('change', () => {
+    const showing = Array.from(textTracks)
+      .find((track) => ['captions', 'subtitles'].includes(track.kind) && track.mode === 'showing');
+    const language = showing ? showing.language : CAPTIONS_OFF;
+    // the default selection is not a preference of the viewer
+    if (getCaptionsPreference() === null && language === defaultLanguage) return;
+    setCaptionsPreference(language);
+  });
+}
@@ -1,68 +1,159 @@
-const { decorateIcons, loadScript, loadCSS } = await import(`${window.hlx.codeBasePath}/scripts/aem.js`);
-
-const VIDEO_JS_SCRIPT = `${window.hlx.aemassets?.codeBasePath ?? ''}/blocks/video/videojs/video.min.js`;
-const VIDEO_JS_CSS = `${window.hlx.aemassets?.codeBasePath ?? ''}/blocks/video/videojs/video-js.min.css`;
+import {
+  getDMOpenAPIVideoPosterUrl,
+  createOptimizedPictureForDMOpenAPI,
+  matchAssetHandler,
+} from '../../scripts/aem-assets.js';
+import { resolveVideoSource, getEmbedUrl } from './video-sources.js';
+import { extractTextTracks, setupTextTracks } from './video-tracks.js';
+import { extractOptions } from './video-options.js';
+
+// the helpers of aem.js, imported by the first block rather than with a top-level await
+let decorateIcons;
+let loadScript;
+let loadCSS;
+let toClassName;
+
+const VIDEO_JS_SCRIPT = `${window.hlx?.aemassets?.codeBasePath ?? ''}/blocks/video/videojs/video.min.js`;
+const VIDEO_JS_CSS = `${window.hlx?.aemassets?.codeBasePath ?? ''}/blocks/video/videojs/video-js.min.css`;
 const VIDEO_JS_LOAD_EVENT = 'videojs-loaded';
+const PROGRESS_MILESTONES = [25, 50, 75];
+const MODAL_HASH_PREFIX = '#video=';
+const MODAL_TITLE_ID = 'video-modal-title';
+const SEEK_STEP = 5;
+const SLOW_CONNECTION_TYPES = ['slow-2g', '2g'];
+const DEFAULT_MAX_PLAYERS = 4;
+const PLAYER_INIT_MARGIN = '200px';
+const PLAYER_DISPOSE_MARGIN = '1500px';
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, video[controls], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Checks if autoplay is suppressed, because the viewer prefers reduced motion,
+ * turned on the data saver or has a slow connection.
+ */
+function isAutoplaySuppressed() {
+  if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) return true;
+  const { connection } = navigator;
+  return !!connection
+    && (!!connection.saveData || SLOW_CONNECTION_TYPES.includes(connection.effectiveType));
+}
 
-function getDeviceSpecificVideoUrl(videoUrl) {
-  const { userAgent } = navigator;
-  const isIOS = /iPad|iPhone|iPod/.test(userAgent);
-  const isSafari = (/Safari/i).test(userAgent) && !(/Chrome/i).test(userAgent) && !(/CriOs/i).test(userAgent) && !(/Android/i).test(userAgent) && !(/Edg/i).test(userAgent);
+/**
+ * Gets the playback mode of a block, set with the `native` or `videojs` class.
+ * Hero videos play natively by default, as they are muted loops without controls.
+ */
+function getPlaybackMode(block, type) {
+  if (block.classList.contains('native')) return 'native';
+  if (block.classList.contains('videojs')) return 'videojs';
+  return type === 'hero' ? 'native' : 'videojs';
+}
 
-  const manifest = (isIOS || isSafari) ? 'manifest.m3u8' : 'manifest.mpd';
-  return videoUrl.replace(/manifest\.mpd|manifest\.m3u8|play/, manifest);
+/**
+ * Splits the options into the poster override and the player options.
+ */
+function splitOptions(options, posterImage) {
+  // the maximum number of players is an option of the block, not of its videos
+  const { posterImage: posterOverride, maxPlayers, ...playerOptions } = options;
+  return { posterImage: posterOverride || posterImage, options: playerOptions };
+}
+
+/**
+ * Creates the poster of a DM OpenAPI video without an authored one, from the thumbnail of
+ * the video asset, rendered with the breakpoints and options of the DM OpenAPI image handler
+ * of the video origin. Its format is the `posterFormat` option of that handler, else jpg.
+ */
+function createDefaultPoster(videoUrl, title, eager = false) {
+  const imageHandler = matchAssetHandler(videoUrl);
+  const {
+    breakpoints, posterFormat, lqip, ...options
+  } = imageHandler?.handler === createOptimizedPictureForDMOpenAPI ? imageHandler.options : {};
+  const seoName = toClassName(title || '') || undefined;
+  const posterUrl = getDMOpenAPIVideoPosterUrl(videoUrl, seoName, posterFormat)
+    || getDMOpenAPIVideoPosterUrl(videoUrl, seoName);
+  return posterUrl
+    ? createOptimizedPictureForDMOpenAPI(posterUrl, title || '', false, eager, breakpoints, options)
+    : null;
 }
 
 function parseConfig(block) {
   const isAutoPlay = block.classList.contains('autoplay');
+  const { options: blockOptions, cards: cardOptions } = extractOptions(block);
+  // the options of hero and modal blocks apply to the video, wherever they are
+  const allOptions = Object.assign({}, blockOptions, ...cardOptions.values());
 
   if (block.classList.contains('hero')) {
-    const posterImage = block.querySelector('picture');
+    const mode = getPlaybackMode(block, 'hero');
+    const tracks = extractTextTracks(block);
     const videoUrl = block.querySelector('div > div:first-child a').href;
     const title = block.querySelector('h1, h2, h3')?.textContent;
     const description = block.querySelector('div > div:nth-child(2) > p')?.textContent;
     const button = block.querySelector('div > div:nth-child(2) > p:last-child > a');
+    const source = resolveVideoSource(videoUrl, mode);
+    const { posterImage, options } = splitOptions(allOptions, block.querySelector('picture'));
 
     return {
       type: 'hero',
-      videoUrl: getDeviceSpecificVideoUrl(videoUrl),
+      ...source,
       isAutoPlay,
       title,
       description,
       button,
-      posterImage,
+      // the hero poster is the largest contentful paint
+      posterImage: posterImage || createDefaultPoster(source.videoUrl, title, true),
+      options,
+      tracks,
     };
   }
 
   if (block.classList.contains('inline')) {
+    const mode = getPlaybackMode(block, 'cards');
     const cards = [...block.children].map((child) => {
-      const posterImage = child.querySelector('picture');
+      const tracks = extractTextTracks(child);
       const videoUrl = child.querySelector('div:first-child a').href;
       const title = child.querySelector('h1, h2, h3')?.textContent;
       const description = child.querySelector('div:nth-child(2) > p')?.textContent;
+      const source = resolveVideoSource(videoUrl, mode);
+      // the options of a card override the ones of the block
+      const { posterImage, options } = splitOptions(
+        { ...blockOptions, ...cardOptions.get(child) },
+        child.querySelector('picture'),
+      );
 
       return {
-        videoUrl: getDeviceSpecificVideoUrl(videoUrl),
+        ...source,
         isAutoPlay,
         title,
         description,
-        posterImage,
+        posterImage: posterImage || createDefaultPoster(source.videoUrl, title),
+        options,
+        tracks,
       };
     });
 
     return {
       type: 'cards',
       cards,
+      maxPlayers: blockOptions.maxPlayers ?? DEFAULT_MAX_PLAYERS,
     };
   }
 
-  const videoUrl = block.querySelector('div:first-child a').href;
-  const posterImage = block.querySelector('picture');
+  const tracks = extractTextTracks(block);
+  const link = block.querySelector('div:first-child a');
+  const videoUrl = link.href;
+  const { posterImage, options } = splitOptions(allOptions, block.querySelector('picture'));
+  const linkText = link.textContent.trim();
+  const title = block.querySelector('h1, h2, h3, h4, h5, h6')?.textContent.trim()
+    || (linkText && linkText !== videoUrl && linkText !== link.getAttribute('href') ? linkText : '')
+    || posterImage?.querySelector('img')?.alt
+    || '';
+  const source = resolveVideoSource(videoUrl, getPlaybackMode(block, 'modal'));
 
   return {
     type: 'modal',
-    videoUrl: getDeviceSpecificVideoUrl(videoUrl),
-    posterImage,
+    ...source,
+    title,
+    posterImage: posterImage || createDefaultPoster(source.videoUrl, title),
+    options,
+    tracks,
   };
 }
 
@@ -109,6 +200,24 @@ async function loadVideoJs() {
   document.dispatchEvent(new Event(VIDEO_JS_LOAD_EVENT));
 }
 
+function scheduleVideoJsLoading() {
+  if (typeof window.DELAYED_PHASE !== 'undefined') {
+    // DELAYED_PHASE is defined, so hook to delayed-phase
+    if (window.DELAYED_PHASE) {
+      loadVideoJs();
+    } else {
+      const delayedPhaseHandler = async () => {
+        document.removeEventListener('delayed-phase', delayedPhaseHandler);
+        await loadVideoJs();
+      };
+      document.addEventListener('delayed-phase', delayedPhaseHandler);
+    }
+  } else {
+    // DELAYED_PHASE is not defined, so don't hook to delayed-phase event
+    setTimeout(loadVideoJs, 3000);
+  }
+}
+
 function createPlayButton(container, player) {
   const pauseIcon = document.createElement('span');
   pauseIcon.classList.add('icon');
@@ -189,12 +298,28 @@ function getPosterImage(posterElement) {
   return supportedSources[0].srcset;
 }
 
+/**
+ * Pauses the video when it scrolls out of view and resumes it when it is back,
+ * unless the viewer paused it.
+ */
 function setupAutopause(videoElement, player) {
+  let pausingOutOfView = false;
+  let pausedByViewer = false;
+
+  player.on('pause', () => {
+    if (!pausingOutOfView) pausedByViewer = true;
+    pausingOutOfView = false;
+  });
+  player.on('play', () => {
+    pausedByViewer = false;
+  });
+
   const observer = new IntersectionObserver((entries) => {
     entries.forEach((entry) => {
       if (entry.isIntersecting) {
-        player.play();
-      } else {
+        if (!pausedByViewer) player.play();
+      } else if (!player.paused()) {
+        pausingOutOfView = true;
         player.pause();
       }
     });
@@ -203,34 +328,218 @@ function setupAutopause(videoElement, player) {
   });
 
   observer.observe(videoElement);
+  player.on('dispose', () => observer.disconnect());
+}
+
+/**
+ * Dispatches a video analytics event, bubbling from the block, and pushes it to
+ * `window.adobeDataLayer` if 'window.hlx.aemassets.videoDataLayer' is enabled.
+ */
+function dispatchVideoEvent(target, name, detail) {
+  target.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+
+  if (window.hlx?.aemassets?.videoDataLayer) {
+    window.adobeDataLayer = window.adobeDataLayer || [];
+    window.adobeDataLayer.push({ event: name, video: detail });
+  }
+}
+
+function getPlaybackDetail(player, url, type) {
+  // the playback of embedded videos is not known
+  const duration = player ? player.duration() : null;
+  return {
+    assetUrl: url,
+    blockType: type,
+    position: player ? player.currentTime() : null,
+    duration: Number.isFinite(duration) ? duration : null,
+  };
+}
+
+function setupAnalytics(player, url, { target, type }) {
+  const emit = (name, detail = {}) => {
+    dispatchVideoEvent(target, name, { ...getPlaybackDetail(player, url, type), ...detail });
+  };
+  const reachedMilestones = new Set();
+
+  player.one('loadedmetadata', () => emit('video-load'));
+  player.on('play', () => emit('video-play'));
+  player.on('pause', () => {
+    // ending pauses the video as well
+    if (!player.ended()) emit('video-pause');
+  });
+  player.on('seeked', () => emit('video-seek'));
+  player.on('timeupdate', () => {
+    const duration = player.duration();
+    if (!duration || !Number.isFinite(duration)) return;
+    PROGRESS_MILESTONES.forEach((milestone) => {
+      if (!reachedMilestones.has(milestone) && player.currentTime() / duration >= milestone / 100) {
+        reachedMilestones.add(milestone);
+        emit('video-progress', { milestone });
+      }
+    });
+  });
+  player.on('ended', () => {
+    emit('video-complete');
+    reachedMilestones.clear();
+  });
+  player.on('error', () => emit('video-error', { error: player.error()?.message ?? null }));
+}
+
+/**
+ * Creates a player for a plain `<video>` element, implementing the part of the video.js
+ * player API used by the block, so both can be set up the same way.
+ */
+function createNativePlayer(videoElement, config) {
+  videoElement.preload = config.preload;
+  if (config.poster) videoElement.poster = config.poster;
+  if (config.controls) videoElement.controls = true;
+  if (config.loop) videoElement.loop = true;
+  if (config.muted) {
+    // the attribute is needed for autoplay, the property for the playback
+    videoElement.setAttribute('muted', '');
+    videoElement.muted = true;
+  }
+  if (config.autoplay) videoElement.autoplay = true;
+
+  return {
+    el: () => videoElement,
+    src: (url) => {
+      videoElement.src = url;
+    },
+    play: () => videoElement.play().catch(() => {
+      // autoplay was prevented, the viewer can still start the video
+    }),
+    pause: () => videoElement.pause(),
+    paused: () => videoElement.paused,
+    ended: () => videoElement.ended,
+    currentTime: (time) => {
+      if (time !== undefined) videoElement.currentTime = time;
+      return videoElement.currentTime;
+    },
+    muted: (muted) => {
+      if (muted !== undefined) videoElement.muted = muted;
+      return videoElement.muted;
+    },
+    playbackRate: (rate) => {
+      if (rate !== undefined) videoElement.playbackRate = rate;
+      return videoElement.playbackRate;
+    },
+    requestFullscreen: () => videoElement.requestFullscreen?.(),
+    duration: () => videoElement.duration,
+    error: () => videoElement.error,
+    on: (type, listener) => videoElement.addEventListener(type, listener),
+    one: (type, listener) => videoElement.addEventListener(type, listener, { once: true }),
+    ready: (callback) => callback(),
+    textTracks: () => videoElement.textTracks,
+    addRemoteTextTrack: (track) => {
+      const trackElement = document.createElement('track');
+      trackElement.kind = track.kind;
+      trackElement.src = track.src;
+      trackElement.srclang = track.srclang;
+      trackElement.label = track.label;
+      trackElement.default = !!track.default;
+      videoElement.append(trackElement);
+      return trackElement;
+    },
+    dispose: () => {
+      // like video.js, let the listeners clean up before the player is gone
+      videoElement.dispatchEvent(new Event('dispose'));
+      videoElement.pause();
+      videoElement.removeAttribute('src');
+      videoElement.load();
+      videoElement.remove();
+    },
+  };
+}
+
+/**
+ * Plays the video from the start time to the end time, looping back to the start time.
+ */
+function setupPlaybackRange(player, { start, end, loop }) {
+  if (start) {
+    player.one('loadedmetadata', () => player.currentTime(start));
+  }
+
+  const restart = () => {
+    player.currentTime(start || 0);
+    player.play();
+  };
+  if (end) {
+    player.on('timeupdate', () => {
+      if (player.currentTime() < end) return;
+      if (loop) {
+        restart();
+      } else if (!player.paused()) {
+        player.pause();
+      }
+    });
+  }
+  if (loop) {
+    player.on('ended', restart);
+  }
 }
 
 function setupPlayer(url, videoContainer, config) {
   const videoElement = document.createElement('video');
-  videoElement.classList.add('video-js');
+  videoElement.classList.add(config.native ? 'video-native' : 'video-js');
   videoElement.id = `video-${Math.random().toString(36).substr(2, 9)}`;
   if (config.playsinline || config.autoplay) {
     videoElement.setAttribute('playsinline', '');
   }
+  const {
+    tracks = [], analytics, native, start, end, playbackRate, aspectRatio, ...playerConfig
+  } = config;
+  // text tracks from another origin are only loaded with CORS, which then applies
+  // to the video as well
+  const { origin, href } = window.location;
+  if (tracks.some(({ src }) => new URL(src, href).origin !== origin)) {
+    videoElement.setAttribute('crossorigin', 'anonymous');
+  }
 
   videoContainer.append(videoElement);
 
   const poster = config.poster ? getPosterImage(config.poster) : null;
   const videojsConfig = {
-    ...config,
-    preload: poster && !config.autoplay ? 'none' : 'auto',
+    ...playerConfig,
+    preload: config.preload ?? (poster && !config.autoplay ? 'none' : 'auto'),
     poster,
   };
 
   if (config.autoplay) {
-    videojsConfig.muted = true;
-    videojsConfig.loop = true;
+    // autoplaying videos loop muted, unless authored otherwise
+    videojsConfig.muted = config.muted ?? true;
+    videojsConfig.loop = config.loop ?? true;
     videojsConfig.autoplay = true;
   }
 
-  // eslint-disable-next-line no-undef
-  const player = videojs(videoElement, videojsConfig);
+  // the aspect ratio of filling players is the one of their container
+  if (aspectRatio && config.fluid) {
+    videojsConfig.aspectRatio = aspectRatio;
+  }
+
+  // the player loops from the start or to the end time itself
+  const loop = !!videojsConfig.loop;
+  if (loop && (start || end)) {
+    videojsConfig.loop = false;
+  }
+
+  const player = native
+    ? createNativePlayer(videoElement, videojsConfig)
+    // eslint-disable-next-line no-undef
+    : videojs(videoElement, videojsConfig);
   player.src(url);
+  if (start || end) {
+    setupPlaybackRange(player, { start, end, loop });
+  }
+  if (playbackRate) {
+    player.one('loadedmetadata', () => player.playbackRate(playbackRate));
+  }
+  if (tracks.length > 0) {
+    setupTextTracks(player, tracks);
+  }
+  if (analytics) {
+    setupAnalytics(player, url, analytics);
+  }
 
   if (config.hasCustomPlayButton) {
     createPlayButton(videoContainer, player);
@@ -245,22 +554,108 @@ function setupPlayer(url, videoContainer, config) {
   return player;
 }
 
+function createVideoEmbed(src, title) {
+  const iframe = document.createElement('iframe');
+  iframe.classList.add('video-embed');
+  iframe.src = src;
+  iframe.title = title || 'Video';
+  iframe.allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media';
+  iframe.allowFullscreen = true;
+  iframe.loading = 'lazy';
+  return iframe;
+}
+
+/**
+ * Embeds a YouTube or Vimeo video. The iframe is only loaded when the video plays:
+ * right away for autoplaying videos, or else when the play button is clicked.
+ */
+function decorateVideoEmbed(url, videoContainer, config) {
+  const {
+    muted, loop, controls, start, end,
+  } = config;
+  const appendEmbed = (options) => {
+    const iframe = createVideoEmbed(getEmbedUrl(config.provider, url, options), config.title);
+    iframe.addEventListener('load', () => {
+      const posterImage = videoContainer.querySelector('picture');
+      if (posterImage) {
+        posterImage.style.display = 'none';
+      }
+    });
+    videoContainer.append(iframe);
+  };
+
+  if (config.autoplay && !isAutoplaySuppressed()) {
+    appendEmbed({
+      autoplay: true,
+      muted: muted ?? true,
+      loop: loop ?? true,
+      controls: controls ?? false,
+      start,
+      end,
+    });
+    return;
+  }
+
+  const playIcon = document.createElement('span');
+  playIcon.classList.add('icon');
+  playIcon.classList.add('icon-play');
+
+  const button = document.createElement('button');
+  button.classList.add('custom-play-button');
+  button.classList.add('video-embed-button');
+  button.setAttribute('aria-label', config.title ? `Play video: ${config.title}` : 'Play video');
+  button.append(playIcon);
+  button.addEventListener('click', () => {
+    button.remove();
+    appendEmbed({
+      autoplay: true, muted, loop, controls, start, end,
+    });
+  });
+
+  decorateIcons(button, `${window.hlx.aemassets.codeBasePath ?? ''}/blocks/video`);
+  videoContainer.append(button);
+}
+
 async function decorateVideoPlayer(url, videoContainer, config) {
   if (config.posterImage) {
     videoContainer.append(config.posterImage);
   }
+  if (config.aspectRatio) {
+    videoContainer.style.setProperty('--video-aspect-ratio', config.aspectRatio.replace(':', ' / '));
+  }
+
+  if (config.embed) {
+    decorateVideoEmbed(url, videoContainer, config);
+    return null;
+  }
 
-  await waitForVideoJs();
-  const player = setupPlayer(url, videoContainer, config);
+  if (!config.native) {
+    await waitForVideoJs();
+  }
+  // the video keeps looping muted, but shows the poster and waits for the play button
+  const playerConfig = config.autoplay && isAutoplaySuppressed()
+    ? {
+      ...config,
+      autoplay: false,
+      muted: config.muted ?? true,
+      loop: config.loop ?? true,
+      playsinline: true,
+    }
+    : config;
+  const player = setupPlayer(url, videoContainer, playerConfig);
   player.on('loadeddata', () => {
     const posterImage = videoContainer.querySelector('picture');
     if (posterImage) {
       posterImage.style.display = 'none';
     }
   });
+  return player;
 }
 
-async function decorateVideoCard(container, config) {
+/**
+ * Renders a card with its poster, returning what it takes to create its player.
+ */
+function decorateVideoCard(container, config) {
   const videoContainer = document.createElement('div');
   videoContainer.classList.add('video-container');
 
@@ -290,12 +685,125 @@ async function decorateVideoCard(container, config) {
   }
 
   container.append(article);
+  if (config.posterImage) {
+    videoContainer.append(config.posterImage);
+  }
 
-  decorateVideoPlayer(config.videoUrl, videoContainer, {
-    autoplay: config.isAutoPlay,
-    hasCustomPlayButton: true,
-    fill: true,
-    posterImage: config.posterImage,
+  return {
+    config,
+    article,
+    videoContainer,
+    playerConfig: {
+      autoplay: config.isAutoPlay,
+      hasCustomPlayButton: true,
+      fill: true,
+      ...config.options,
+      native: config.native,
+      embed: config.embed,
+      provider: config.provider,
+      title: config.title,
+      tracks: config.tracks,
+      analytics: { target: article, type: 'cards' },
+    },
+  };
+}
+
+function createCardPlayButton(card, onClick) {
+  const playIcon = document.createElement('span');
+  playIcon.classList.add('icon');
+  playIcon.classList.add('icon-play');
+
+  const button = document.createElement('button');
+  button.classList.add('custom-play-button');
+  button.classList.add('video-card-play-button');
+  const { title } = card.config;
+  button.setAttribute('aria-label', title ? `Play video: ${title}` : 'Play video');
+  button.append(playIcon);
+  button.addEventListener('click', onClick);
+
+  decorateIcons(button, `${window.hlx.aemassets.codeBasePath ?? ''}/blocks/video`);
+  return button;
+}
+
+/**
+ * Creates the players of the cards only when they approach the viewport or their play
+ * button is clicked, showing their poster until then. The players of cards scrolled far away
+ * are disposed, as are the least recently created ones beyond `maxPlayers`.
+ */
+function setupLazyPlayers(cards, maxPlayers) {
+  const alive = [];
+  const cardsByElement = new Map(cards.map((card) => [card.article, card]));
+
+  const showPlayButton = (card) => {
+    // eslint-disable-next-line no-use-before-define
+    card.playButton = createCardPlayButton(card, () => activate(card, { play: true }));
+    card.videoContainer.append(card.playButton);
+  };
+
+  const removePlayer = (card, player) => {
+    player.dispose();
+    // the play button of the player, not the one of the card
+    card.videoContainer.querySelectorAll('.custom-play-button:not(.video-card-play-button)')
+      .forEach((button) => button.remove());
+    const posterImage = card.videoContainer.querySelector('picture');
+    if (posterImage) {
+      posterImage.style.display = '';
+    }
+  };
+
+  const deactivate = (card) => {
+    alive.splice(alive.indexOf(card), 1);
+    const { player } = card;
+    card.activation = null;
+    card.player = null;
+    // a player still being created is removed once it is
+    if (player) {
+      removePlayer(card, player);
+    }
+    showPlayButton(card);
+  };
+
+  const activate = async (card, { play = false } = {}) => {
+    if (card.activation) {
+      if (play) card.player?.play();
+      return;
+    }
+
+    const activation = {};
+    card.activation = activation;
+    card.playButton.remove();
+    alive.push(card);
+    if (alive.length > maxPlayers) {
+      const others = alive.filter((other) => other !== card);
+      deactivate(others.find((other) => other.player?.paused()) || others[0]);
+    }
+
+    const { config, videoContainer, playerConfig } = card;
+    const player = await decorateVideoPlayer(config.videoUrl, videoContainer, playerConfig);
+    if (card.activation !== activation) {
+      removePlayer(card, player);
+      return;
+    }
+    card.player = player;
+    if (play) player.play();
+  };
+
+  const initObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) activate(cardsByElement.get(entry.target));
+    });
+  }, { rootMargin: PLAYER_INIT_MARGIN });
+  const disposeObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      const card = cardsByElement.get(entry.target);
+      if (!entry.isIntersecting && card.activation) deactivate(card);
+    });
+  }, { rootMargin: PLAYER_DISPOSE_MARGIN });
+
+  cards.forEach((card) => {
+    showPlayButton(card);
+    initObserver.observe(card.article);
+    disposeObserver.observe(card.article);
   });
 }
 
@@ -334,7 +842,14 @@ async function decorateHeroBlock(block, config) {
     autoplay: config.isAutoPlay,
     hasCustomPlayButton: true,
     fill: true,
+    ...config.options,
+    native: config.native,
+    embed: config.embed,
+    provider: config.provider,
+    title: config.title,
     posterImage: config.posterImage,
+    tracks: config.tracks,
+    analytics: { target: block, type: 'hero' },
   });
 }
 
@@ -345,26 +860,78 @@ async function decorateVideoCards(block, config) {
   block.innerHTML = '';
   block.append(gridContainer);
 
-  await Promise.all(config.cards.map(async (videoConfig) => {
+  const cards = config.cards.map((videoConfig) => {
     const gridItem = document.createElement('li');
     gridItem.classList.add('video-card-grid-item');
     gridContainer.append(gridItem);
 
-    await decorateVideoCard(gridItem, videoConfig);
-  }));
+    return decorateVideoCard(gridItem, videoConfig);
+  });
+
+  // embedded videos are loaded lazily by their iframe
+  cards.filter((card) => card.config.embed).forEach((card) => {
+    decorateVideoPlayer(card.config.videoUrl, card.videoContainer, card.playerConfig);
+  });
+  setupLazyPlayers(cards.filter((card) => !card.config.embed), config.maxPlayers);
+}
+
+// the modal videos of the page by id, to open them from deep links
+const modalVideos = new Map();
+
+// the block, player and trigger of the open modal
+let modalSession = null;
+
+function getModalVideoId() {
+  const { hash } = window.location;
+  return hash.startsWith(MODAL_HASH_PREFIX)
+    ? decodeURIComponent(hash.substring(MODAL_HASH_PREFIX.length))
+    : null;
+}
+
+/**
+ * Gets a unique id for a modal video, used in its deep link, e.g. `#video=product-tour`.
+ */
+function getModalVideoIdFor(config) {
+  const base = toClassName(config.title || '') || 'video';
+  let id = base;
+  for (let i = 2; modalVideos.has(id); i += 1) {
+    id = `${base}-${i}`;
+  }
+  return id;
 }
 
-function closeModal() {
+function closeModal({ fromHistory = false } = {}) {
   const dialog = document.querySelector('.video-modal-dialog');
+  if (!modalSession) return;
+
+  const {
+    id, target, url, player, trigger,
+  } = modalSession;
+  dispatchVideoEvent(target, 'video-modal-close', getPlaybackDetail(player, url, 'modal'));
+  modalSession = null;
   dialog.querySelector('.video-container').innerHTML = '';
 
   // eslint-disable-next-line no-use-before-define
   window.removeEventListener('click', handleOutsideClick);
   // eslint-disable-next-line no-use-before-define
-  window.removeEventListener('keydown', handleEscapeKey);
+  dialog.removeEventListener('keydown', handleModalKeydown);
 
   dialog.close();
   document.body.style.overflow = '';
+
+  if (!fromHistory) {
+    if (window.history.state?.videoModal === id) {
+      // the modal was opened from the page, going back removes its deep link
+      window.history.back();
+    } else if (getModalVideoId() === id) {
+      const { pathname, search } = window.location;
+      window.history.replaceState(window.history.state, '', `${pathname}${search}`);
+    }
+  }
+
+  if (trigger?.isConnected) {
+    trigger.focus();
+  }
 }
 
 function handleOutsideClick(event) {
@@ -374,35 +941,152 @@ function handleOutsideClick(event) {
   }
 }
 
-function handleEscapeKey(event) {
+/**
+ * Keeps the focus in the dialog when tabbing past its first or last focusable element.
+ */
+function trapFocus(event, dialog) {
+  const focusables = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter((element) => !element.disabled && element.getClientRects().length > 0);
+  if (focusables.length === 0) return;
+
+  const first = focusables[0];
+  const last = focusables[focusables.length - 1];
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Handles the keyboard in the modal: Escape closes it, Tab stays in it and, unless a control
+ * has the focus, Space or K toggles the playback, the arrows seek, M mutes and F goes fullscreen.
+ */
+function handleModalKeydown(event) {
+  const dialog = event.currentTarget;
   if (event.key === 'Escape') {
+    event.preventDefault();
     closeModal();
+    return;
+  }
+  if (event.key === 'Tab') {
+    trapFocus(event, dialog);
+    return;
   }
+
+  const player = modalSession?.player;
+  if (!player || event.altKey || event.ctrlKey || event.metaKey) return;
+  if (event.target.closest('a, button, input, select, textarea, video[controls], [role="slider"]')) {
+    return;
+  }
+
+  const key = event.key.toLowerCase();
+  if (key === ' ' || key === 'k') {
+    if (player.paused()) {
+      player.play();
+    } else {
+      player.pause();
+    }
+  } else if (key === 'arrowleft' || key === 'arrowright') {
+    const step = key === 'arrowleft' ? -SEEK_STEP : SEEK_STEP;
+    player.currentTime(Math.max(0, player.currentTime() + step));
+  } else if (key === 'm') {
+    player.muted(!player.muted());
+  } else if (key === 'f') {
+    player.requestFullscreen();
+  } else {
+    return;
+  }
+  event.preventDefault();
 }
 
-async function openModal(config) {
-  await loadVideoJs();
+async function openModal(block, config, { trigger, fromHistory = false } = {}) {
+  if (modalSession) {
+    closeModal({ fromHistory: true });
+  }
+  if (!config.native && !config.embed) {
+    await loadVideoJs();
+  }
 
   const dialog = document.querySelector('.video-modal-dialog');
   const container = dialog.querySelector('.video-container');
-  setupPlayer(config.videoUrl, container, {
-    bigPlayButton: true,
-    fluid: true,
-    controls: true,
-    playsinline: true,
-    autoplay: true,
-  });
+  const title = dialog.querySelector(`#${MODAL_TITLE_ID}`);
+  title.textContent = config.title || 'Video';
+
+  const { aspectRatio } = config.options;
+  if (aspectRatio) {
+    container.style.setProperty('--video-aspect-ratio', aspectRatio.replace(':', ' / '));
+  } else {
+    container.style.removeProperty('--video-aspect-ratio');
+  }
+
+  const analytics = { target: block, type: 'modal' };
+  let player = null;
+  if (config.embed) {
+    const src = getEmbedUrl(config.provider, config.videoUrl, {
+      autoplay: true, ...config.options,
+    });
+    container.append(createVideoEmbed(src, config.title));
+  } else {
+    player = setupPlayer(config.videoUrl, container, {
+      bigPlayButton: true,
+      fluid: true,
+      controls: true,
+      playsinline: true,
+      autoplay: true,
+      ...config.options,
+      native: config.native,
+      tracks: config.tracks,
+      analytics,
+    });
+  }
+  modalSession = {
+    id: config.id,
+    target: block,
+    url: config.videoUrl,
+    player,
+    trigger: trigger || block.querySelector('.video-play-button'),
+  };
+  dispatchVideoEvent(block, 'video-modal-open', getPlaybackDetail(player, config.videoUrl, 'modal'));
+
+  if (!fromHistory) {
+    window.history.pushState({ videoModal: config.id }, '', `${MODAL_HASH_PREFIX}${encodeURIComponent(config.id)}`);
+  }
 
   window.addEventListener('click', handleOutsideClick);
-  window.addEventListener('keydown', handleEscapeKey);
+  dialog.addEventListener('keydown', handleModalKeydown);
 
   dialog.showModal();
   document.body.style.overflow = 'hidden';
 }
 
+/**
+ * Opens or closes the modal when navigating the history to or from a deep link.
+ */
+function handleModalHistory() {
+  const id = getModalVideoId();
+  if (modalSession && modalSession.id !== id) {
+    closeModal({ fromHistory: true });
+  }
+  if (id && !modalSession && modalVideos.has(id)) {
+    const { block, config } = modalVideos.get(id);
+    openModal(block, config, { fromHistory: true });
+  }
+}
+
 function createModal() {
   const modal = document.createElement('dialog');
   modal.classList.add('video-modal-dialog');
+  modal.setAttribute('aria-labelledby', MODAL_TITLE_ID);
+  // Escape is handled with the keydown listener, which cleans up the modal,
+  // but browsers may still close the dialog themselves
+  modal.addEventListener('cancel', (event) => event.preventDefault());
+  modal.addEventListener('close', () => {
+    // the event is queued, the modal may already be open again with another video
+    if (!modal.open) closeModal();
+  });
 
   const container = document.createElement('div');
   container.classList.add('video-modal');
@@ -421,6 +1105,11 @@ function createModal() {
     closeModal();
   });
 
+  const title = document.createElement('h2');
+  title.id = MODAL_TITLE_ID;
+  title.classList.add('video-modal-title');
+
+  header.append(title);
   header.append(closeBtn);
   decorateIcons(header, `${window.hlx.aemassets.codeBasePath ?? ''}/blocks/video`);
 
@@ -436,15 +1125,18 @@ function createModal() {
   container.append(content);
   modal.append(container);
   document.body.append(modal);
+
+  window.addEventListener('popstate', handleModalHistory);
 }
 
-async function decorateVideoModal(block, config) {
+async function decorateVideoModal(block, modalConfig) {
+  const config = { ...modalConfig, id: getModalVideoIdFor(modalConfig) };
   const container = document.createElement('div');
   container.classList.add('video-component');
 
-  const posterImage = config.posterImage.cloneNode(true);
   const playButton = document.createElement('button');
-  playButton.setAttribute('aria-label', 'Play video');
+  playButton.setAttribute('aria-label', config.title ? `Play video: ${config.title}` : 'Play video');
+  playButton.setAttribute('aria-haspopup', 'dialog');
   playButton.classList.add('video-play-button');
 
   const playIcon = document.createElement('span');
@@ -454,10 +1146,12 @@ async function decorateVideoModal(block, config) {
   decorateIcons(playButton, `${window.hlx.aemassets.codeBasePath ?? ''}/blocks/video`);
 
   playButton.addEventListener('click', async () => {
-    await openModal(config);
+    await openModal(block, config, { trigger: playButton });
   });
 
-  container.append(posterImage);
+  if (config.posterImage) {
+    container.append(config.posterImage);
+  }
   container.append(playButton);
 
   block.innerHTML = '';
@@ -467,27 +1161,26 @@ async function decorateVideoModal(block, config) {
   if (!hasVideoModal) {
     createModal();
   }
-}
 
-export default async function decorate(block) {
-  if (typeof window.DELAYED_PHASE !== 'undefined') {
-    // DELAYED_PHASE is defined, so hook to delayed-phase
-    if (window.DELAYED_PHASE) {
-      loadVideoJs();
-    } else {
-      const delayedPhaseHandler = async () => {
-        document.removeEventListener('delayed-phase', delayedPhaseHandler);
-        await loadVideoJs();
-      };
-      document.addEventListener('delayed-phase', delayedPhaseHandler);
-    }
-  } else {
-    // DELAYED_PHASE is not defined, so don't hook to delayed-phase event
-    setTimeout(loadVideoJs, 3000);
+  modalVideos.set(config.id, { block, config });
+  block.dataset.videoId = config.id;
+  if (getModalVideoId() === config.id) {
+    openModal(block, config, { fromHistory: true });
   }
+}
 
+export default async function decorate(block) {
+  ({
+    decorateIcons, loadScript, loadCSS, toClassName,
+  } = await import(`${window.hlx.codeBasePath}/scripts/aem.js`));
   const config = parseConfig(block);
 
+  // video.js is only loaded for the videos the browser does not play natively
+  const videos = config.type === 'cards' ? config.cards : [config];
+  if (videos.some((video) => !video.native && !video.embed)) {
+    scheduleVideoJsLoading();
+  }
+
   if (config.type === 'hero') {
     await decorateHeroBlock(block, config);
     return;
@@ -1,97 +1,30 @@
-/**
- * All supported image formats
- * @constant {string[]}
- */
-const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'];
-
-/**
- * Vector/excluded formats that don't support smart cropping
- * @constant {string[]}
- * @note Can be extended with other vector formats like 'ai', 'eps', 'pdf'
- */
-const SMART_CROP_EXCLUDED_FORMATS = ['svg'];
-
-/**
- * Gets the extension of a URL.
- * @param {string} url The URL
- * @returns {string} The extension
- * @private
- * @example
- * get_url_extension('https://example.com/foo.jpg');
- * // returns 'jpg'
- * get_url_extension('https://example.com/foo.jpg?bar=baz');
- * // returns 'jpg'
- * get_url_extension('https://example.com/foo');
- * // returns ''
- * get_url_extension('https://example.com/foo.jpg#qux');
- * // returns 'jpg'
- * get_url_extension('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:db6f951a-3865-42cf-ad38-13a33cff9e75/as/candy.avif?assetname=candy.jpg');
- * // returns 'avif'
- */
-function getUrlExtension(url) {
-  return url.split(/[#?]/)[0].split('.').pop().trim();
-}
-
-/**
- * Checks if a URL has a supported image extension
- * @param {string} url The URL to check
- * @returns {boolean} Whether the URL has a supported image extension
- * @private
- */
-function isImageUrl(url) {
-  if (!url) return false;
-  const ext = getUrlExtension(url);
-
-  if (ext && IMAGE_FORMATS.includes(ext.toLowerCase())) return true;
-
-  // Check for '/is/image/' for handling DM image URLs
-  if (url.includes('is/image/')) return true;
-
-  return false;
-}
-
-/**
- * Determines if an image type supports smart cropping
- * @param {string} url The image URL
- * @returns {boolean} Whether the image type supports smart cropping
- * @private
- */
-function supportsSmartCrop(url) {
-  if (!url) return false;
-  const ext = getUrlExtension(url).toLowerCase();
-  
-  // Smart crops work for raster images but not for excluded vector formats
-  return !SMART_CROP_EXCLUDED_FORMATS.includes(ext) && IMAGE_FORMATS.includes(ext);
-}
-
-/**
- * Converts DM OpenAPI URLs from /original/ format to /as/ format with assetname parameter
- * @param {URL} url The URL to convert
- * @returns {URL} The converted URL or original URL if not a DM OpenAPI URL
- * @private
- * @example
- * createWebOptimizedDMOpenAPIUrl(new URL('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437/original/as/article_01_hero.png'));
- * // returns URL('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437/as/article_01_hero.avif?assetname=article_01_hero.png')
- */
-function createWebOptimizedDMOpenAPIUrl(url) {
-  const { pathname } = url;
-  // Check if URL contains /original/as/ pattern
-  if (pathname.includes('/original/as/')) {
-    // Extract the filename from the path
-    const filename = pathname.split('/').pop();
-    // Replace /original/as/ with /as/ and change extension to .avif
-    const newPathname = pathname
-      .replace(/(?:\/renditions)?\/original\/as\//, '/as/')
-      .replace(/\.[^.]+$/, '.avif');
-    // Create new URL with modified pathname
-    const newUrl = new URL(url.toString());
-    newUrl.pathname = newPathname;
-    // Add assetname parameter with original filename
-    newUrl.searchParams.set('assetname', filename);
-    return newUrl;
-  }
-  return url;
-}
+import {
+  isDMOpenAPIUrl,
+  isDMOpenAPIVideoUrl,
+  parseDMOpenAPIUrl,
+  buildDMOpenAPIUrl,
+  toDMOpenAPIRendition,
+  getDMOpenAPIVideoPosterUrl,
+} from './dm-openapi.js';
+import { isScene7Url, parseScene7Url, buildScene7Url } from './scene7.js';
+import {
+  registerAssetHandler,
+  unregisterAssetHandler,
+  matchAssetHandler,
+  getAssetHandlers,
+} from './asset-handlers.js';
+import {
+  isImageUrl,
+  supportsSmartCrop,
+  appendQueryParams,
+  getSrcsetCandidates,
+  describeOptimizedPicture,
+  describeOptimizedPictureWithSmartcrop,
+  describeOptimizedPictureForDM,
+  describeOptimizedPictureForDMOpenAPI,
+  renderPictureHTML,
+  getIntrinsicDimensions,
+} from './optimized-picture.js';
 
 /**
  * Gets the source URL and alt text from an element.
@@ -99,9 +32,11 @@ function createWebOptimizedDMOpenAPIUrl(url) {
  * For `<img>` tags inside `<picture>`, it attempts to parse the alt attribute
  * returns a JSON object with deliveryUrl and altText.
  * @param {Element} element The element (img or a)
- * @returns {{url: string|null, alt: string}}
+ * @returns {{url: string|null, alt: string, dimensions: object|null, secure: boolean|null}}
  *   - url: The determined image URL.
  *   - alt: The alt text, defaulting to an empty string.
+ *   - dimensions: The width and height of the asset, if provided by the asset picker.
+ *   - secure: Whether the asset is secure, if provided by the asset picker.
  * @private
  */
 function getImageSrcUrlAndAlt(element) {
@@ -116,9 +51,19 @@ function getImageSrcUrlAndAlt(element) {
       if (altAttr) {
         try {
           const deliveryObject = JSON.parse(decodeURIComponent(altAttr));
-          const { deliveryUrl, altText } = deliveryObject;
+          const {
+            deliveryUrl, altText, width, height, secure,
+          } = deliveryObject;
           if (deliveryUrl) {
-            return { url: deliveryUrl, alt: altText || '' };
+            const dimensions = Number(width) && Number(height)
+              ? { width: Number(width), height: Number(height) }
+              : null;
+            return {
+              url: deliveryUrl,
+              alt: altText || '',
+              dimensions,
+              secure: typeof secure === 'boolean' ? secure : null,
+            };
           }
         } catch (e) {
           // Not a JSON alt, fall back to src
@@ -134,69 +79,166 @@ function getImageSrcUrlAndAlt(element) {
 }
 
 /**
- * Checks if an element is an external image.
- * @param {Element} element The element
- * @returns {Object} Object containing isExternal (boolean) and
- * createOptimizedPictureHandler (function or null)
+ * Appends query params to each candidate of a srcset.
+ * Width params are left untouched on candidates with a `w` descriptor,
+ * as they have to match the descriptor.
+ * @param {string} srcset The srcset
+ * @param {string} base The base URL to resolve the candidates against
+ * @param {URLSearchParams} params The query params to append
+ * @returns {string} The srcset with query params appended
  * @private
  */
-function isExternalImage(element) {
-  // Allow both <img> and <a> tags
-  if (element.tagName !== 'IMG' && element.tagName !== 'A') {
-    return { isExternal: false, createOptimizedPictureHandler: null };
-  }
+function appendQueryParamsToSrcset(srcset, base, params) {
+  return srcset.split(/,\s+/).map((candidate) => {
+    const [candidateUrl, descriptor] = candidate.trim().split(/\s+/);
+    let candidateParams = params;
+    if (descriptor?.endsWith('w')) {
+      candidateParams = new URLSearchParams(params);
+      candidateParams.delete('width');
+      candidateParams.delete('wid');
+    }
+    const url = appendQueryParams(new URL(candidateUrl, base), candidateParams);
+    return descriptor ? `${url} ${descriptor}` : url;
+  }).join(', ');
+}
 
-  const { url } = getImageSrcUrlAndAlt(element);
-  if (!url) return { isExternal: false, createOptimizedPictureHandler: null };
+/**
+ * Removes the smartcrop query param from each candidate of a srcset.
+ * @param {string} srcset The srcset
+ * @returns {string} The srcset pointing to the uncropped renditions
+ * @private
+ */
+function removeSmartcropFromSrcset(srcset) {
+  return srcset.split(/,\s+/).map((candidate) => {
+    const [candidateUrl, descriptor] = candidate.trim().split(/\s+/);
+    const url = new URL(candidateUrl, window.location.href);
+    url.searchParams.delete('smartcrop');
+    return descriptor ? `${url} ${descriptor}` : url.toString();
+  }).join(', ');
+}
 
-  // If it's an anchor tag and the URL doesn't have an image extension, return false
-  if (element.tagName === 'A' && !isImageUrl(url)) {
-    return { isExternal: false, createOptimizedPictureHandler: null };
-  }
+/**
+ * Checks if any candidate of a srcset requests a smartcrop rendition.
+ * @param {string} srcset The srcset
+ * @returns {boolean} Whether a smartcrop rendition is requested
+ * @private
+ */
+function hasSmartcrop(srcset) {
+  return !!srcset && /[?&]smartcrop=/.test(srcset);
+}
 
-  let createOptimizedPictureHandlerFunction = null;
-  let isExternalUrl = false;
-
-  // Iterate through the prefixes to find a match
-  if (window.hlx.aemassets?.externalImageUrlPrefixes) {
-    window.hlx.aemassets.externalImageUrlPrefixes.some((prefixItem) => {
-      // If prefixItem is a tuple [prefix, handlerFunction]
-      if (Array.isArray(prefixItem) && prefixItem.length === 2) {
-        const [prefix, handlerFunction] = prefixItem;
-        // Check if the URL starts with the prefix
-        if (url.startsWith(prefix)) {
-          isExternalUrl = true;
-          createOptimizedPictureHandlerFunction = handlerFunction;
-          return true; // stops .some()
-        }
-      }
-      return false;
+/**
+ * Falls back to the uncropped rendition when a smartcrop rendition fails to load,
+ * e.g. because the preset does not exist for the asset on the server.
+ * Only the source the browser picked is changed, so the other breakpoints keep their crop.
+ * The outcome is recorded in `data-smartcrop-status` on the picture:
+ * - `loading` until the image loads
+ * - `loaded` if the smartcrop rendition loaded
+ * - `fallback` if at least one breakpoint fell back to the uncropped rendition
+ * - `error` if the uncropped rendition failed as well
+ * @param {Element} picture The picture element
+ * @private
+ */
+function setupSmartcropFallback(picture) {
+  const img = picture.querySelector('img');
+  if (!img) return;
+
+  const handleLoad = () => {
+    if (picture.getAttribute('data-smartcrop-status') === 'loading') {
+      picture.setAttribute('data-smartcrop-status', 'loaded');
+    }
+  };
+
+  const handleError = () => {
+    const sources = [...picture.querySelectorAll('source')]
+      .filter((source) => hasSmartcrop(source.getAttribute('srcset')));
+    const { currentSrc } = img;
+
+    // find the source the failed rendition came from, if the browser tells us
+    let failedSources = sources.filter((source) => currentSrc
+      && source.getAttribute('srcset').split(/,\s+/).some((candidate) => candidate.trim().split(/\s+/)[0] === currentSrc));
+    if (failedSources.length === 0) {
+      failedSources = sources.filter((source) => {
+        const media = source.getAttribute('media');
+        return !media || !window.matchMedia || window.matchMedia(media).matches;
+      });
+    }
+
+    if (failedSources.length === 0 && !hasSmartcrop(img.getAttribute('src'))) {
+      picture.setAttribute('data-smartcrop-status', 'error');
+      return;
+    }
+
+    failedSources.forEach((source) => {
+      source.setAttribute('srcset', removeSmartcropFromSrcset(source.getAttribute('srcset')));
+      source.setAttribute('data-smartcrop-status', 'fallback');
+      // the uncropped rendition has the dimensions of the img
+      source.removeAttribute('width');
+      source.removeAttribute('height');
     });
+    if (hasSmartcrop(img.getAttribute('src'))) {
+      img.setAttribute('src', removeSmartcropFromSrcset(img.getAttribute('src')));
+    }
+    if (img.getAttribute('srcset')) {
+      img.setAttribute('srcset', removeSmartcropFromSrcset(img.getAttribute('srcset')));
+    }
+    picture.setAttribute('data-smartcrop-status', 'fallback');
+  };
+
+  img.addEventListener('load', handleLoad);
+  img.addEventListener('error', handleError);
+
+  // pictures rendered server side may have loaded, or failed, before the script runs
+  if (img.complete && img.getAttribute('src')) {
+    if (img.naturalWidth) handleLoad();
+    else handleError();
   }
+}
 
-  return {
-    isExternal: isExternalUrl,
-    createOptimizedPictureHandler: createOptimizedPictureHandlerFunction,
+/**
+ * Probes the dimensions of a picture whose img has none, by loading the smallest candidate
+ * of the img srcset, if 'window.hlx.aemassets.probeDimensions' is enabled. The ratio applies
+ * to the img and to the sources without a smartcrop, which share it.
+ * Lazy images are only probed once they get close to the viewport, so that the renditions
+ * of images below the fold are not downloaded early.
+ * @param {Element} picture The picture element
+ * @private
+ */
+function probeIntrinsicDimensions(picture) {
+  if (!window.hlx?.aemassets?.probeDimensions) return;
+  const img = picture.querySelector('img');
+  if (!img || img.hasAttribute('width')) return;
+  const [smallest] = (img.getAttribute('srcset') || img.getAttribute('src') || '').split(/,\s+/);
+  const probeSrc = smallest?.trim().split(/\s+/)[0];
+  if (!probeSrc) return;
+
+  const probe = () => {
+    const image = new Image();
+    image.onload = () => {
+      if (!image.naturalWidth || !image.naturalHeight) return;
+      const ratio = image.naturalWidth / image.naturalHeight;
+      [...picture.querySelectorAll('source'), img].forEach((element) => {
+        const srcset = element.getAttribute('srcset');
+        if (element.hasAttribute('width') || hasSmartcrop(srcset)) return;
+        const width = srcset?.match(/(\d+)w$/)?.[1] || image.naturalWidth;
+        Object.entries(getIntrinsicDimensions(width, ratio))
+          .forEach(([name, value]) => element.setAttribute(name, value));
+      });
+    };
+    image.src = probeSrc;
   };
-}
 
-/*
-  * Appends query params to a URL.
-  * @param {URL} url The URL object to append query params to
-  * @param {URLSearchParams} params The query params to append
-  * @returns {string} The URL string with query params appended
-  * @private
-  * @example
-  * appendQueryParams('https://example.com', { foo: 'bar' });
-  * // returns 'https://example.com?foo=bar'
-*/
-function appendQueryParams(url, params) {
-  const { searchParams } = url;
-  params.forEach((value, key) => {
-    searchParams.set(key, value);
-  });
-  url.search = searchParams.toString();
-  return url.toString();
+  if (img.getAttribute('loading') !== 'lazy' || !('IntersectionObserver' in window)) {
+    probe();
+    return;
+  }
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(({ isIntersecting }) => isIntersecting)) {
+      observer.disconnect();
+      probe();
+    }
+  }, { rootMargin: '200px' });
+  observer.observe(img);
 }
 
 /**
@@ -218,13 +260,79 @@ async function loadCSS(href) {
   });
 }
 
+/**
+ * Shows the low quality image placeholder of a picture (the `--lqip-image` custom property,
+ * styled by `styles/aem-assets.css`) until its img loads, then sets `data-lqip-status`
+ * from `loading` to `loaded`.
+ * @param {Element} picture The picture element
+ * @private
+ */
+function setupLqip(picture) {
+  const img = picture.querySelector('img');
+  if (!img) return;
+
+  // pictures rendered server side may have loaded before the script runs
+  if (img.complete && img.naturalWidth) {
+    picture.setAttribute('data-lqip-status', 'loaded');
+    return;
+  }
+
+  // the placeholder stays while the smartcrop fallback retries, until an img loads
+  img.addEventListener('load', () => {
+    picture.setAttribute('data-lqip-status', 'loaded');
+  }, { once: true });
+
+  loadCSS(`${window.hlx?.aemassets?.codeBasePath ?? ''}/styles/aem-assets.css`).catch(() => {
+    // without the styles the placeholder is simply not shown
+  });
+}
+
+/**
+ * Attaches the client side behaviors declared by the attributes of a picture:
+ * the smartcrop fallback (`data-smartcrop-status="loading"`), the low quality image
+ * placeholder (`data-lqip-status="loading"`) and probing the intrinsic dimensions.
+ * Use it on pictures rendered server side with renderPictureHTML.
+ * @param {Element} picture The picture element
+ * @returns {Element} The picture element
+ * @example
+ * document.querySelectorAll('picture.smartcrop, picture.lqip').forEach(attachPictureBehaviors);
+ */
+export function attachPictureBehaviors(picture) {
+  if (picture.getAttribute('data-smartcrop-status') === 'loading') {
+    setupSmartcropFallback(picture);
+  }
+  if (picture.getAttribute('data-lqip-status') === 'loading') {
+    setupLqip(picture);
+  }
+  probeIntrinsicDimensions(picture);
+  return picture;
+}
+
+/**
+ * Creates the element of a description, see optimized-picture.js.
+ * @param {object} description The element description
+ * @returns {Element} The element
+ * @private
+ */
+function createElementFromDescription({ tag, attributes = {}, children = [] }) {
+  const element = document.createElement(tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  children.forEach((child) => element.appendChild(createElementFromDescription(child)));
+  return element;
+}
+
 /**
  * Creates an optimized picture element for an image.
  * If the image is not an absolute URL, it will be passed to libCreateOptimizedPicture.
  * @param {string} src The image source URL
  * @param {string} alt The image alt text
  * @param {boolean} eager Whether to load the image eagerly
- * @param {object[]} breakpoints The breakpoints to use
+ * @param {object[]} breakpoints The breakpoints to use. Each breakpoint renders a srcset
+ * with `w` descriptors up to its `width`, and can set its own `sizes`, `widths` ladder
+ * or `densities` (see 'window.hlx.aemassets.responsiveImages')
+ * @param {object} options The handler options
+ * @param {object} [options.dimensions] The width and height of the asset, used for the
+ * intrinsic dimensions of the img
  * @returns {Element} The picture element
  *
  */
@@ -233,41 +341,10 @@ export function createOptimizedPicture(
   alt = '',
   eager = false,
   breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
 ) {
-  const url = new URL(src);
-  const picture = document.createElement('picture');
-  const { pathname } = url;
-  const ext = pathname.substring(pathname.lastIndexOf('.') + 1);
-
-  // webp
-  breakpoints.forEach((br) => {
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/webp');
-    const searchParams = new URLSearchParams({ width: br.width, format: 'webply' });
-    source.setAttribute('srcset', appendQueryParams(url, searchParams));
-    picture.appendChild(source);
-  });
-
-  // fallback
-  breakpoints.forEach((br, i) => {
-    const searchParams = new URLSearchParams({ width: br.width, format: ext });
-
-    if (i < breakpoints.length - 1) {
-      const source = document.createElement('source');
-      if (br.media) source.setAttribute('media', br.media);
-      source.setAttribute('srcset', appendQueryParams(url, searchParams));
-      picture.appendChild(source);
-    } else {
-      const img = document.createElement('img');
-      img.setAttribute('loading', eager ? 'eager' : 'lazy');
-      img.setAttribute('alt', alt);
-      picture.appendChild(img);
-      img.setAttribute('src', appendQueryParams(url, searchParams));
-    }
-  });
-
-  return picture;
+  const description = describeOptimizedPicture(src, alt, eager, breakpoints, options);
+  return attachPictureBehaviors(createElementFromDescription(description));
 }
 
 /**
@@ -277,6 +354,11 @@ export function createOptimizedPicture(
  * @param {string} alt The image alt text
  * @param {boolean} eager Whether to load the image eagerly
  * @param {object[]} breakpoints The breakpoints to use
+ * @param {object} options The handler options
+ * @param {object} [options.smartCrops] The smartcrop presets to use instead of
+ * 'window.hlx.aemassets.smartCrops'
+ * @param {object} [options.dimensions] The width and height of the asset, used for the
+ * intrinsic dimensions of the img
  * @returns {Element} The picture element
  */
 export function createOptimizedPictureWithSmartcrop(
@@ -284,66 +366,10 @@ export function createOptimizedPictureWithSmartcrop(
   alt = '',
   eager = false,
   breakpoints = [],
+  options = {},
 ) {
-  const isAbsoluteUrl = /^https?:\/\//i.test(src);
- // check if the image type supports smart cropping
-  const canUseSmartCrop = supportsSmartCrop(src);
-  // initialise breakpoint to project level smartcrop config unless needed to customise
-  let smartcropBreakpoints = breakpoints;
-  if (canUseSmartCrop && breakpoints.length === 0 && window.hlx?.aemassets?.smartCrops) {
-    smartcropBreakpoints = Object.entries(window.hlx.aemassets.smartCrops).map(
-      ([name, { minWidth, maxWidth }]) => ({
-        media: `(min-width: ${minWidth}px) and (max-width: ${maxWidth}px)`,
-        smartcrop: name,
-      }),
-    );
-  } else if (breakpoints.length === 0) {
-    // No custom breakpoints and format doesn't support smart crop (e.g., SVG)
-    smartcropBreakpoints = [];
-  }
-
-  const url = isAbsoluteUrl ? new URL(src) : new URL(src, window.location.href);
-  const picture = document.createElement('picture');
-  const { pathname } = url;
-  const ext = pathname.substring(pathname.lastIndexOf('.') + 1);
-
-  // webp
-  smartcropBreakpoints.forEach((br) => {
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/webp');
-    const searchParams = new URLSearchParams({ format: 'webply' });
-    if (br.smartcrop) {
-      searchParams.set('smartcrop', br.smartcrop);
-    }
-    source.setAttribute('srcset', appendQueryParams(url, searchParams));
-    picture.appendChild(source);
-  });
-
-  // fallback for non-webp
-  smartcropBreakpoints.forEach((br) => {
-    const searchParams = new URLSearchParams({ format: ext });
-    if (br.smartcrop) {
-      searchParams.set('smartcrop', br.smartcrop);
-    }
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('srcset', appendQueryParams(url, searchParams));
-    picture.appendChild(source);
-  });
-
-  // append the default image eliminating smartcrop query param if present
-  const img = document.createElement('img');
-  img.setAttribute('loading', eager ? 'eager' : 'lazy');
-  img.setAttribute('alt', alt);
-  picture.appendChild(img);
-  url.searchParams.delete('smartcrop');
-  img.setAttribute('src', url.toString());
-
-  if (canUseSmartCrop) {
-    picture.classList.add('smartcrop');
-  }
-  return picture;
+  const description = describeOptimizedPictureWithSmartcrop(src, alt, eager, breakpoints, options);
+  return attachPictureBehaviors(createElementFromDescription(description));
 }
 
 /**
@@ -351,7 +377,24 @@ export function createOptimizedPictureWithSmartcrop(
  * @param {string} src The image source URL
  * @param {string} alt The image alt text
  * @param {boolean} eager Whether to load the image eagerly
- * @param {object[]} breakpoints The breakpoints to use
+ * @param {object[]} breakpoints The breakpoints to use. Each breakpoint renders a srcset
+ * with `w` descriptors up to its `width`, and can set its own `sizes`, `widths` ladder
+ * or `densities` (see 'window.hlx.aemassets.responsiveImages')
+ * @param {object} options The handler options
+ * @param {string} [options.preset] The image preset, rendered as `$preset$`
+ * @param {boolean} [options.useSmartcrop] Whether to render the smart crop variants
+ * (e.g. `asset:Small`) configured in 'window.hlx.aemassets.smartCrops'
+ * @param {object} [options.smartCrops] The smartcrop presets to use instead of
+ * 'window.hlx.aemassets.smartCrops'
+ * @param {string[]} [options.formats=['jpeg']] The formats to render type specific sources for,
+ * in order of preference, e.g. `['avif', 'webp', 'jpeg']`
+ * @param {number|string} [options.quality] The quality, rendered as `qlt`
+ * @param {string} [options.dpr] The device pixel ratio handling, rendered as `dpr` (e.g. `off`)
+ * @param {string} [options.resMode] The resampling mode, rendered as `resMode` (e.g. `sharp2`)
+ * @param {boolean|object} [options.lqip] Whether to show a blurred low quality placeholder
+ * until the image loads, optionally with its `width` and `quality`
+ * @param {object} [options.dimensions] The width and height of the asset, used for the
+ * intrinsic dimensions of the img
  * @returns {Element} The picture element
  *
  */
@@ -360,40 +403,10 @@ export function createOptimizedPictureForDM(
   alt = '',
   eager = false,
   breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
 ) {
-  const picture = document.createElement('picture');
-  const isAbsoluteUrl = /^https?:\/\//i.test(src);
-  const url = isAbsoluteUrl ? new URL(src) : new URL(src, window.location.href);
-
-  // jpeg sources
-  breakpoints.forEach((br) => {
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/jpeg');
-    const searchParams = new URLSearchParams({ wid: br.width, fmt: 'jpeg' });
-    source.setAttribute('srcset', appendQueryParams(url, searchParams));
-    picture.appendChild(source);
-  });
-
-  // fallback
-  breakpoints.forEach((br, i) => {
-    const searchParams = new URLSearchParams({ wid: br.width });
-
-    if (i < breakpoints.length - 1) {
-      const source = document.createElement('source');
-      if (br.media) source.setAttribute('media', br.media);
-      source.setAttribute('srcset', appendQueryParams(url, searchParams));
-      picture.appendChild(source);
-    } else {
-      const img = document.createElement('img');
-      img.setAttribute('loading', eager ? 'eager' : 'lazy');
-      img.setAttribute('alt', alt);
-      picture.appendChild(img);
-      img.setAttribute('src', appendQueryParams(url, searchParams));
-    }
-  });
-
-  return picture;
+  const description = describeOptimizedPictureForDM(src, alt, eager, breakpoints, options);
+  return attachPictureBehaviors(createElementFromDescription(description));
 }
 
 /**
@@ -402,7 +415,17 @@ export function createOptimizedPictureForDM(
  * @param {string} alt The image alt text
  * @param {boolean} useSmartcrop Whether to use smartcrop
  * @param {boolean} eager Whether to load the image eagerly
- * @param {object[]} breakpoints The breakpoints to use
+ * @param {object[]} breakpoints The breakpoints to use. Each breakpoint renders a srcset
+ * with `w` descriptors up to its `width`, and can set its own `sizes`, `widths` ladder
+ * or `densities` (see 'window.hlx.aemassets.responsiveImages')
+ * @param {object} options The handler options
+ * @param {number} [options.quality] The rendition quality (1-100)
+ * @param {boolean|object} [options.lqip] Whether to show a blurred low quality placeholder
+ * until the image loads, optionally with its `width` and `quality`
+ * @param {object} [options.smartCrops] The smartcrop presets to use instead of
+ * 'window.hlx.aemassets.smartCrops'
+ * @param {object} [options.dimensions] The width and height of the asset, used for the
+ * intrinsic dimensions of the img
  * @returns {Element} The picture element
  */
 export function createOptimizedPictureForDMOpenAPI(
@@ -411,201 +434,567 @@ export function createOptimizedPictureForDMOpenAPI(
   useSmartcrop = false,
   eager = false,
   breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
 ) {
-  const picture = document.createElement('picture');
-  const isAbsoluteUrl = /^https?:\/\//i.test(src);
-  const originalUrl = isAbsoluteUrl ? new URL(src) : new URL(src, window.location.href);
-  const url = createWebOptimizedDMOpenAPIUrl(originalUrl);
-
-  // Determine which breakpoints to use
-  let finalBreakpoints = breakpoints;
-  if (useSmartcrop && window.hlx?.aemassets?.smartCrops) {
-    finalBreakpoints = Object.entries(window.hlx.aemassets.smartCrops).map(
-      ([name, { minWidth, maxWidth }]) => ({
-        media: `(min-width: ${minWidth}px) and (max-width: ${maxWidth}px)`,
-        smartcrop: name,
-        width: maxWidth || '2000',
-      }),
-    );
-  }
-
-  // Create sources
-  finalBreakpoints.forEach((br) => {
-    const source = document.createElement('source');
-    if (br.media) source.setAttribute('media', br.media);
-    source.setAttribute('type', 'image/avif');
-
-    const searchParams = new URLSearchParams({ width: br.width });
-    if (useSmartcrop && br.smartcrop) {
-      searchParams.set('smartcrop', br.smartcrop);
-    }
-
-    source.setAttribute('srcset', appendQueryParams(url, searchParams));
-    picture.appendChild(source);
-  });
-
-  // Create fallback sources (for non-last breakpoints)
-  finalBreakpoints.forEach((br, i) => {
-    if (i < finalBreakpoints.length - 1) {
-      const source = document.createElement('source');
-      if (br.media) source.setAttribute('media', br.media);
+  const description = describeOptimizedPictureForDMOpenAPI(
+    src,
+    alt,
+    useSmartcrop,
+    eager,
+    breakpoints,
+    options,
+  );
+  return attachPictureBehaviors(createElementFromDescription(description));
+}
+/**
+ * Creates an inline player for a DM OpenAPI video: a `video` block (inline variant),
+ * loaded once it gets close to the viewport, so video.js and the block code
+ * are only fetched for videos about to be seen.
+ * @param {string} src The video URL, the `play` endpoint or a streaming manifest
+ * @param {string} title The video title
+ * @param {object} options The handler options
+ * @param {boolean} [options.autoplay=false] Whether to play the video muted in a loop
+ * @param {Element} [options.poster] The picture to show until the video plays
+ * @param {string} [options.rootMargin='200px'] How close to the viewport the player is loaded
+ * @param {function} [options.loadBlock] The function loading the block, defaults to
+ *   'window.hlx.aemassets.loadBlock'
+ * @returns {Element} The video block
+ */
+export function createVideoPlayerForDMOpenAPI(src, title = '', options = {}) {
+  const {
+    autoplay = false,
+    poster = null,
+    rootMargin = '200px',
+    loadBlock: blockLoader = window.hlx?.aemassets?.loadBlock,
+  } = options;
+  const block = document.createElement('div');
+  block.classList.add('video', 'inline', 'block');
+  if (autoplay) block.classList.add('autoplay');
+  block.dataset.blockName = 'video';
 
-      const searchParams = new URLSearchParams({ width: br.width });
-      if (useSmartcrop && br.smartcrop) {
-        searchParams.set('smartcrop', br.smartcrop);
-      }
+  // same structure as an authored inline video block with a single card
+  const row = document.createElement('div');
+  const cell = document.createElement('div');
+  if (poster) cell.append(poster);
+  const link = document.createElement('a');
+  link.href = src;
+  link.textContent = title || src;
+  cell.append(link);
+  row.append(cell);
+  block.append(row);
 
-      source.setAttribute('srcset', appendQueryParams(url, searchParams));
-      picture.appendChild(source);
+  const load = () => blockLoader?.(block);
+  if (!('IntersectionObserver' in window)) {
+    load();
+    return block;
+  }
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(({ isIntersecting }) => isIntersecting)) {
+      observer.disconnect();
+      load();
     }
-  });
+  }, { rootMargin });
+  observer.observe(block);
+  return block;
+}
 
-  // Create default img element (from last breakpoint or without smartcrop)
-  const img = document.createElement('img');
-  img.setAttribute('loading', eager ? 'eager' : 'lazy');
-  img.setAttribute('alt', alt || '');
-  picture.appendChild(img);
-
-  // For the image src, either use the last breakpoint or a clean URL
-  if (finalBreakpoints.length > 0) {
-    const lastBreakpoint = finalBreakpoints[finalBreakpoints.length - 1];
-    const searchParams = new URLSearchParams({ width: lastBreakpoint.width });
-    img.setAttribute('src', appendQueryParams(url, searchParams));
-  } else {
-    img.setAttribute('src', url.toString());
-  }
+/**
+ * Creates the element for an asset with the given handler entry.
+ * The built-in handlers are called with their own signatures, passing the handler options
+ * (`breakpoints` and the handler specific options). Custom handlers are called with
+ * `(src, alt, useSmartcrop, { eager, breakpoints, dimensions, lqip, autoplay, poster, options })`.
+ * @param {object} assetHandler The handler entry, see matchAssetHandler
+ * @param {string} src The asset URL
+ * @param {string} alt The alt text
+ * @param {object} context The rendering context
+ * @param {boolean} [context.useSmartcrop=false] Whether to render smartcrops
+ * @param {boolean} [context.eager=false] Whether to load the asset eagerly
+ * @param {object} [context.dimensions] The width and height of the asset, if known
+ * @param {boolean} [context.lqip=false] Whether to show a low quality image placeholder
+ * @param {boolean} [context.autoplay=false] Whether to autoplay a video
+ * @param {Element} [context.poster] The poster picture of a video
+ * @returns {Element} The element
+ * @private
+ */
+function invokeAssetHandler(assetHandler, src, alt, {
+  useSmartcrop = false, eager = false, dimensions = null, lqip = false,
+  autoplay = false, poster = null,
+} = {}) {
+  const { handler, options = {} } = assetHandler;
+  const { breakpoints, ...handlerOptions } = options;
+  if (dimensions) handlerOptions.dimensions = dimensions;
+  // the handler options can configure the placeholder, but it is only shown where enabled
+  handlerOptions.lqip = lqip ? (handlerOptions.lqip || true) : false;
 
-  // Add smartcrop class if using smartcrop
-  if (useSmartcrop) {
-    picture.classList.add('smartcrop');
-    picture.setAttribute('data-smartcrop-status', 'loaded');
+  switch (handler) {
+    case createOptimizedPictureForDMOpenAPI:
+      return handler(src, alt, useSmartcrop, eager, breakpoints, handlerOptions);
+    case createOptimizedPictureForDM:
+      return handler(src, alt, eager, breakpoints, { ...handlerOptions, useSmartcrop });
+    case createOptimizedPictureWithSmartcrop:
+    case createOptimizedPicture:
+      return handler(src, alt, eager, breakpoints, handlerOptions);
+    case createVideoPlayerForDMOpenAPI:
+      return handler(src, alt, {
+        ...handlerOptions, autoplay: handlerOptions.autoplay || autoplay, poster,
+      });
+    default:
+      return handler(src, alt, useSmartcrop, {
+        eager, breakpoints, dimensions, lqip, autoplay, poster, options: handlerOptions,
+      });
   }
-
-  return picture;
 }
 
 /**
- * to check if given src is a DM OpenAPI URL
- * @param {string} src The URL to check
- * @returns {boolean} True if the URL is a DM OpenAPI URL, false otherwise.
+ * Checks if a handler builds its renditions from the parsed source URL, keeping the
+ * query params of the source URL, so they don't have to be copied over.
+ * @param {function} handler The handler function
+ * @returns {boolean} Whether the handler keeps the source query params
  * @private
  */
-function isDMOpenAPIUrl(src) {
-  return /^(https?:\/\/(.*)\/adobe\/assets\/urn:aaid:aem:(.*))/gm.test(src);
+function keepsSourceParams(handler) {
+  return handler === createOptimizedPictureForDMOpenAPI || handler === createOptimizedPictureForDM;
 }
 
 /**
- * to check if the page contains meta tag for smartcrop rendering
- * @returns {boolean} True if meta tag for smartcrop is present and true, false otherwise.
+ * to check if the page contains a meta tag enabling a feature, e.g. `smartcrop` or `lqip`
+ * @param {string} name The name of the meta tag
+ * @returns {boolean} True if the meta tag is present and true, false otherwise.
  * @private
  */
-function hasImageSmartcropMeta() {
+function hasFeatureMeta(name) {
   const metaTags = document.getElementsByTagName('meta');
-  const matchingMeta = Array.from(metaTags).find((meta) => meta.name === 'smartcrop' && meta.content === 'true');
-  return !!matchingMeta;
+  return Array.from(metaTags).some((meta) => meta.name === name && meta.content === 'true');
 }
 
 /**
- * to mark all the external images with smart crop on the page and set data-smartcrop-status=loading
- * if the image is a DM OpenAPI URL
- * @param {Element} ele The element to search within. Defaults to document.
+ * to collect all the potential external images (<a> tags and standalone <img> tags) a feature
+ * is enabled for, at site or page level, with the feature class on a block or section,
+ * or with the feature name in the section metadata
+ * @param {Element} ele The element to search within
+ * @param {string} feature The feature name, e.g. `smartcrop` or `lqip`
+ * @param {boolean} enabledForPage Whether the feature is enabled for the whole page
+ * @returns {Element[]} The collected elements
  * @private
  */
-function markSmartCropImages(ele = document) {
-  // Early return if smartcrop config is missing
-  if (window.hlx?.aemassets?.smartCrops === undefined) {
-    return;
-  }
-
-  // Collect all external images into an array
+function collectFeatureImages(ele, feature, enabledForPage) {
   const extImages = [];
-
-  if (hasImageSmartcropMeta()) {
-    // If smartcrop is enabled at page level, collect all <a> tags and standalone <img> tags
-    extImages.push(...ele.querySelectorAll('a'));
+  const collect = (selector, root = ele) => {
+    extImages.push(...root.querySelectorAll(`${selector}a`));
     // Add img tags that are not inside picture elements
-    ele.querySelectorAll('img').forEach((img) => {
+    root.querySelectorAll(`${selector}img`).forEach((img) => {
       if (img.parentNode?.tagName !== 'PICTURE') {
         extImages.push(img);
       }
     });
+  };
+
+  if (enabledForPage) {
+    collect('');
   } else {
-    // if not enabled at page level, collect all <a> tags and standalone <img> tags
-    // within block and section elements
-    extImages.push(...ele.querySelectorAll('.smartcrop a'));
-    // Add img tags that are not inside picture elements
-    ele.querySelectorAll('.smartcrop img').forEach((img) => {
-      if (img.parentNode?.tagName !== 'PICTURE') {
-        extImages.push(img);
-      }
-    });
+    // if not enabled at page level, collect the images within block and section elements
+    collect(`.${feature} `);
     ele.querySelectorAll('.section-metadata > div > div').forEach((sectionMeta) => {
-      if (sectionMeta.innerText === 'smartcrop') {
-        const parentSection = sectionMeta.closest('.section-metadata').parentElement;
-        extImages.push(...parentSection.querySelectorAll('a'));
-        // Add img tags that are not inside picture elements
-        parentSection.querySelectorAll('img').forEach((img) => {
-          if (img.parentNode?.tagName !== 'PICTURE') {
-            extImages.push(img);
-          }
-        });
+      if (sectionMeta.textContent.trim() === feature) {
+        collect('', sectionMeta.closest('.section-metadata').parentElement);
       }
     });
   }
+  return extImages;
+}
 
-  // Apply the data-smartcrop-status attribute to all collected images if a DM OpenAPI URL
-  extImages.forEach((extImage) => {
+/**
+ * to mark all the external images with smart crop on the page and set data-smartcrop-status=loading
+ * if the image is a DM OpenAPI URL
+ * @param {Element} ele The element to search within. Defaults to document.
+ * @private
+ */
+function markSmartCropImages(ele = document) {
+  // Early return if smartcrop config is missing, at project level and for all handlers
+  if (window.hlx?.aemassets?.smartCrops === undefined
+    && !getAssetHandlers().some(({ options }) => options.smartCrops)) {
+    return;
+  }
+
+  // Apply the data-smartcrop-status attribute to all collected images
+  // if a DM OpenAPI or Scene7 URL
+  collectFeatureImages(ele, 'smartcrop', hasFeatureMeta('smartcrop')).forEach((extImage) => {
     const { url } = getImageSrcUrlAndAlt(extImage);
-    if (url && isDMOpenAPIUrl(url) && supportsSmartCrop(url)) {
+    if (url && (isDMOpenAPIUrl(url) || isScene7Url(url)) && supportsSmartCrop(url)) {
       extImage.setAttribute('data-smartcrop-status', 'loading');
     }
   });
 }
 
+/**
+ * to mark all the external images with a low quality image placeholder with data-lqip=true
+ * if the image is a DM OpenAPI or Scene7 URL. LQIP is enabled for the whole site with
+ * 'window.hlx.aemassets.lqip' (unless its `enabled` property is false), for a page with
+ * the `lqip` meta tag, or for a block or section like smartcrop.
+ * @param {Element} ele The element to search within. Defaults to document.
+ * @private
+ */
+function markLqipImages(ele = document) {
+  const config = window.hlx?.aemassets?.lqip;
+  const enabledForPage = (!!config && config.enabled !== false) || hasFeatureMeta('lqip');
+  collectFeatureImages(ele, 'lqip', enabledForPage).forEach((extImage) => {
+    const { url } = getImageSrcUrlAndAlt(extImage);
+    if (url && (isDMOpenAPIUrl(url) || isScene7Url(url))) {
+      extImage.setAttribute('data-lqip', 'true');
+    }
+  });
+}
+
+/**
+ * Finds the LCP candidate among the external images, i.e. the first image
+ * marked by the author with the `lcp` class on its block or section,
+ * or else the first image in the first section.
+ * Only one LCP candidate is picked per page.
+ * @param {Element[]} extImages The external images to pick from, in document order
+ * @returns {Element|null} The LCP candidate or null
+ * @private
+ */
+function findLcpCandidate(extImages) {
+  if (extImages.length === 0 || document.querySelector('picture[data-lcp]')) return null;
+
+  const marked = extImages.find((extImage) => extImage.closest('.lcp'));
+  if (marked) return marked;
+
+  const firstSection = document.querySelector('main > div');
+  return extImages.find((extImage) => firstSection?.contains(extImage)) || null;
+}
+
+/**
+ * Combines a media query with the negation of the media queries of the previous sources,
+ * so the preload links match exactly when the browser would pick the source.
+ * @param {string} media The media query of the source
+ * @param {string[]} previous The media queries of the previous sources
+ * @returns {string} The media query
+ * @private
+ * @example
+ * getExclusiveMedia('', ['(min-width: 600px)']);
+ * // returns '(not ((min-width: 600px)))'
+ */
+function getExclusiveMedia(media, previous) {
+  if (previous.length === 0) return media;
+  return [
+    ...(media ? [`(${media})`] : []),
+    ...previous.map((previousMedia) => `(not (${previousMedia}))`),
+  ].join(' and ');
+}
+
+/**
+ * Injects `<link rel="preload">` elements into the head for a picture, one per source of the
+ * preferred format (the type of the first source), or one for the img if it has no typed sources.
+ * @param {Element} picture The picture element
+ * @private
+ */
+function preloadPicture(picture) {
+  const img = picture.querySelector('img');
+  const sources = [...picture.querySelectorAll('source')];
+  const type = sources[0]?.getAttribute('type');
+  const candidates = type ? sources.filter((source) => source.getAttribute('type') === type) : [];
+  if (candidates.length === 0 && img) candidates.push(img);
+
+  const previous = [];
+  candidates.forEach((candidate) => {
+    const srcset = candidate.getAttribute('srcset');
+    const src = candidate.getAttribute('src');
+    if (!srcset && !src) return;
+    if (document.head.querySelector(`link[rel="preload"][imagesrcset="${srcset}"]`)) return;
+
+    const link = document.createElement('link');
+    link.setAttribute('rel', 'preload');
+    link.setAttribute('as', 'image');
+    if (src) link.setAttribute('href', src);
+    if (srcset) link.setAttribute('imagesrcset', srcset);
+    const sizes = candidate.getAttribute('sizes');
+    if (sizes) link.setAttribute('imagesizes', sizes);
+    if (type && candidate !== img) link.setAttribute('type', type);
+    const media = candidate.getAttribute('media') || '';
+    const exclusiveMedia = getExclusiveMedia(media, previous);
+    if (exclusiveMedia) link.setAttribute('media', exclusiveMedia);
+    link.setAttribute('fetchpriority', 'high');
+    document.head.append(link);
+
+    if (media) previous.push(media);
+  });
+}
+
+/**
+ * Gets the handler for a video URL: a handler registered for the `video` asset type,
+ * or else the inline player for DM OpenAPI videos, if the URL matches the prefix
+ * of the DM OpenAPI image handler.
+ * @param {string} url The video URL
+ * @returns {object|null} The handler entry or null
+ * @private
+ */
+function matchVideoHandler(url) {
+  const videoHandler = matchAssetHandler(url, { assetType: 'video' });
+  if (videoHandler) return videoHandler;
+
+  const imageHandler = matchAssetHandler(url, { assetType: 'image' });
+  if (imageHandler?.handler === createOptimizedPictureForDMOpenAPI) {
+    return { handler: createVideoPlayerForDMOpenAPI, options: {} };
+  }
+  return null;
+}
+
+/**
+ * Checks if an element is an external asset.
+ * Links to DM OpenAPI videos are external videos, unless they are in a video block already.
+ * @param {Element} element The element
+ * @returns {Object} Object containing isExternal (boolean),
+ * assetHandler (the matching handler entry, see matchAssetHandler, or null)
+ * and assetType (`image` or `video`)
+ * @private
+ */
+function isExternalAsset(element) {
+  const notExternal = { isExternal: false, assetHandler: null, assetType: null };
+  // Allow both <img> and <a> tags
+  if (element.tagName !== 'IMG' && element.tagName !== 'A') {
+    return notExternal;
+  }
+
+  const { url } = getImageSrcUrlAndAlt(element);
+  if (!url) return notExternal;
+
+  if (element.tagName === 'A' && isDMOpenAPIVideoUrl(url)) {
+    if (element.closest('.video, [data-block-name="video"]')) return notExternal;
+    const assetHandler = matchVideoHandler(url);
+    return { isExternal: !!assetHandler, assetHandler, assetType: 'video' };
+  }
+
+  // If it's an anchor tag and the URL doesn't have an image extension, return false
+  if (element.tagName === 'A' && !isImageUrl(url)) {
+    return notExternal;
+  }
+
+  // Find the registered or configured handler for the URL
+  const assetHandler = matchAssetHandler(url, { assetType: 'image' });
+
+  return {
+    isExternal: !!assetHandler,
+    assetHandler,
+    assetType: 'image',
+  };
+}
+
+/**
+ * Checks if an element is in a block or section with the given style, either as class
+ * or, before the sections are decorated, in the section metadata.
+ * @param {Element} element The element
+ * @param {string} style The style, e.g. `autoplay`
+ * @returns {boolean} Whether the style applies to the element
+ * @private
+ */
+function hasSurroundingStyle(element, style) {
+  if (element.closest(`.${style}`)) return true;
+  const section = element.closest('main > div');
+  return !!section && [...section.querySelectorAll(':scope > .section-metadata > div > div')]
+    .some((cell) => cell.textContent.split(',').some((value) => value.trim().toLowerCase() === style));
+}
+
+/**
+ * Finds the poster authored for a video link: a picture in the same paragraph or block cell,
+ * or, if the block or section has the `poster-before` style, right before the link
+ * or its paragraph. Other pictures are left in the content.
+ * @param {Element} link The video link
+ * @returns {Element|null} The picture or null
+ * @private
+ */
+function findVideoPoster(link) {
+  const paragraph = link.closest('p');
+  const picture = paragraph?.querySelector('picture')
+    || link.closest('.block > div > div')?.querySelector('picture');
+  if (picture) return picture;
+  if (!hasSurroundingStyle(link, 'poster-before')) return null;
+
+  const previous = (paragraph || link).previousElementSibling;
+  if (previous?.tagName === 'PICTURE') return previous;
+  if (previous?.tagName === 'P' && previous.children.length === 1
+    && previous.firstElementChild.tagName === 'PICTURE') {
+    return previous.firstElementChild;
+  }
+  return null;
+}
+
+/**
+ * Replaces a video link with the player created by the handler. The `autoplay` and
+ * `no-poster` styles of the surrounding block or section apply to the player.
+ * @param {Element} link The video link
+ * @param {object} assetHandler The handler entry
+ * @private
+ */
+function decorateExternalVideo(link, assetHandler) {
+  const { url } = getImageSrcUrlAndAlt(link);
+  const title = link.getAttribute('title') || link.textContent.trim();
+  const poster = hasSurroundingStyle(link, 'no-poster') ? null : findVideoPoster(link);
+  const posterParent = poster?.parentElement;
+
+  const player = invokeAssetHandler(assetHandler, url, title, {
+    autoplay: hasSurroundingStyle(link, 'autoplay'),
+    poster,
+  });
+  player.setAttribute('data-aem-assets', 'decorated');
+
+  // a player does not belong in a paragraph, replace the paragraph if it only has the link
+  const paragraph = link.parentElement;
+  if (paragraph?.tagName === 'P' && paragraph.textContent.trim() === link.textContent.trim()
+    && paragraph.querySelectorAll('*').length === 1) {
+    paragraph.replaceWith(player);
+  } else {
+    link.replaceWith(player);
+  }
+  // drop the paragraph the poster was moved out of
+  if (posterParent?.tagName === 'P' && !posterParent.hasChildNodes()) {
+    posterParent.remove();
+  }
+}
+
+/**
+ * Checks if an element was created by decorateExternalImages or is part of one,
+ * so it is not decorated again.
+ * @param {Element} element The element
+ * @returns {boolean} Whether the element is already decorated
+ * @private
+ */
+function isDecorated(element) {
+  return !!element.closest('[data-aem-assets="decorated"]');
+}
+
 /*
-  * Decorates external images with a picture element
+  * Decorates external images with a picture element, and links to DM OpenAPI videos
+  * with an inline player, see createVideoPlayerForDMOpenAPI.
+  * Elements that were already decorated are skipped, so it can safely run again on the same tree.
   * @param {Element} ele The element
+  * @param {object} [options] The decoration options
+  * @param {boolean} [options.lcp=true] Whether to pick an LCP candidate among the images
   * @private
   * @example
   * decorateExternalImages(main);
   */
-export function decorateExternalImages(ele) {
+export function decorateExternalImages(ele, { lcp = true } = {}) {
   // apply data-smartcrop-status=loading to all potential <a> ,<img> tags
   markSmartCropImages(ele);
+  // apply data-lqip=true to the ones to render with a low quality image placeholder
+  markLqipImages(ele);
+
+  const extAssets = [...ele.querySelectorAll('a,img')]
+    .filter((extImage) => !isDecorated(extImage))
+    .map((extImage) => ({ extImage, ...isExternalAsset(extImage) }))
+    .filter(({ isExternal }) => isExternal);
 
-  const extImages = ele.querySelectorAll('a,img');
-  extImages.forEach((extImage) => {
-    const { isExternal, createOptimizedPictureHandler } = isExternalImage(extImage);
-    if (isExternal) {
-      // check if needs to render smartcrop
-      const renderSmartCrop = extImage.getAttribute('data-smartcrop-status');
-      const { url: extImageSrc, alt } = getImageSrcUrlAndAlt(extImage);
+  const extImages = extAssets.filter(({ assetType }) => assetType === 'image');
 
-      if (!extImageSrc) return; // Skip if no source found
+  // the LCP candidate is loaded eagerly, with high priority and preloaded
+  const lcpCandidate = lcp ? findLcpCandidate(extImages.map(({ extImage }) => extImage)) : null;
 
-      // Use the provided picture creator function to create the picture element
-      const useSmartcrop = renderSmartCrop === 'loading';
-      const extPicture = createOptimizedPictureHandler(extImageSrc, alt, useSmartcrop);
+  extImages.forEach(({ extImage, assetHandler }) => {
+    // check if needs to render smartcrop
+    const renderSmartCrop = extImage.getAttribute('data-smartcrop-status');
+    const {
+      url: extImageSrc, alt, dimensions, secure,
+    } = getImageSrcUrlAndAlt(extImage);
 
-      /* copy query params from link to img */
+    if (!extImageSrc) return; // Skip if no source found
+
+    // Use the provided picture creator function to create the picture element
+    const useSmartcrop = renderSmartCrop === 'loading';
+    const eager = extImage === lcpCandidate;
+    const lqip = extImage.getAttribute('data-lqip') === 'true';
+    const extPicture = invokeAssetHandler(assetHandler, extImageSrc, alt, {
+      useSmartcrop, eager, dimensions, lqip,
+    });
+
+    /* copy query params from link to img, unless the handler already did */
+    if (!keepsSourceParams(assetHandler.handler)) {
       const extImageUrl = new URL(extImageSrc);
       const { searchParams } = extImageUrl;
       extPicture.querySelectorAll('source, img').forEach((child) => {
-        if (child.tagName === 'SOURCE') {
-          const srcset = child.getAttribute('srcset');
-          if (srcset) {
-            child.setAttribute('srcset', appendQueryParams(new URL(srcset, extImageSrc), searchParams));
-          }
-        } else if (child.tagName === 'IMG') {
+        const srcset = child.getAttribute('srcset');
+        if (srcset) {
+          child.setAttribute('srcset', appendQueryParamsToSrcset(srcset, extImageSrc, searchParams));
+        }
+        if (child.tagName === 'IMG') {
           const src = child.getAttribute('src');
           if (src) {
             child.setAttribute('src', appendQueryParams(new URL(src, extImageSrc), searchParams));
           }
         }
       });
-      extImage.parentNode.replaceChild(extPicture, extImage);
     }
+    extPicture.setAttribute('data-aem-assets', 'decorated');
+    // lets the secure assets block skip the detection of the asset
+    if (secure !== null && secure !== undefined) {
+      extPicture.setAttribute('data-secure', secure);
+    }
+    if (eager) {
+      extPicture.setAttribute('data-lcp', 'true');
+      extPicture.querySelector('img')?.setAttribute('fetchpriority', 'high');
+      preloadPicture(extPicture);
+    }
+    extImage.parentNode.replaceChild(extPicture, extImage);
+  });
+
+  // links to videos are embedded as players, after the images that can be their posters
+  extAssets.filter(({ assetType }) => assetType === 'video')
+    .forEach(({ extImage, assetHandler }) => decorateExternalVideo(extImage, assetHandler));
+}
+
+/**
+ * The observer started by observeExternalImages
+ * @type {MutationObserver|null}
+ */
+let externalImagesObserver = null;
+
+/**
+ * Stops decorating the external images of dynamically inserted content.
+ * @example
+ * disconnectExternalImagesObserver();
+ */
+export function disconnectExternalImagesObserver() {
+  externalImagesObserver?.disconnect();
+  externalImagesObserver = null;
+}
+
+/**
+ * Decorates the external images of content inserted after the page decoration, e.g. by
+ * fragments, modals, tabs or blocks fetching content, as soon as it is added to the DOM.
+ * Each image is decorated once, pictures created by the decoration are ignored.
+ * Only one observer runs at a time, calling it again moves the observer to the new root.
+ * @param {Element} [root=document.body] The element to observe, including its subtree
+ * @returns {function} A function disconnecting the observer
+ * @example
+ * const disconnect = observeExternalImages(document.querySelector('main'));
+ */
+export function observeExternalImages(root = document.body) {
+  disconnectExternalImagesObserver();
+
+  externalImagesObserver = new MutationObserver((mutations) => {
+    const addedElements = new Set();
+    mutations.forEach(({ addedNodes }) => {
+      addedNodes.forEach((node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE || !node.isConnected || isDecorated(node)) return;
+        if (node.matches('a,img')) {
+          // decorateExternalImages only looks at the descendants of the element
+          if (node.parentElement) addedElements.add(node.parentElement);
+        } else if (node.querySelector('a,img')) {
+          addedElements.add(node);
+        }
+      });
+    });
+
+    // decorate the outermost elements only, the nested ones are covered by them
+    const elements = [...addedElements];
+    elements
+      .filter((element) => !elements.some((other) => other !== element && other.contains(element)))
+      // the LCP happened before, dynamically inserted images are not LCP candidates
+      .forEach((element) => decorateExternalImages(element, { lcp: false }));
   });
+  externalImagesObserver.observe(root, { childList: true, subtree: true });
+
+  return disconnectExternalImagesObserver;
 }
 
 export async function loadBlock(block) {
@@ -619,7 +1008,8 @@ export async function loadBlock(block) {
         && window.hlx.aemassets.blocks.indexOf(blockName) !== -1) {
         basePath = `${window.hlx.codeBasePath}${window.hlx.aemassets.codeBasePath}`;
       }
-      decorateExternalImages(block);
+      // the LCP happened before lazily loaded blocks, their images are not LCP candidates
+      decorateExternalImages(block, { lcp: false });
       const cssLoaded = loadCSS(`${basePath}/blocks/${blockName}/${blockName}.css`);
       const decorationComplete = new Promise((resolve) => {
         (async () => {
@@ -647,9 +1037,33 @@ export async function loadBlock(block) {
   return block;
 }
 
+export {
+  describeOptimizedPicture,
+  describeOptimizedPictureWithSmartcrop,
+  describeOptimizedPictureForDM,
+  describeOptimizedPictureForDMOpenAPI,
+  renderPictureHTML,
+  isScene7Url,
+  parseScene7Url,
+  buildScene7Url,
+  registerAssetHandler,
+  unregisterAssetHandler,
+  matchAssetHandler,
+  isDMOpenAPIUrl,
+  isDMOpenAPIVideoUrl,
+  parseDMOpenAPIUrl,
+  buildDMOpenAPIUrl,
+  toDMOpenAPIRendition,
+  getDMOpenAPIVideoPosterUrl,
+};
+
 // Create an object with the test functions
 const testFunctions = {
   appendQueryParams,
+  appendQueryParamsToSrcset,
+  getSrcsetCandidates,
+  removeSmartcropFromSrcset,
+  supportsSmartCrop,
 };
 
 // Export the object
@@ -0,0 +1,226 @@
+/**
+ * Asset types a handler supports when it does not declare any
+ * @constant {string[]}
+ */
+const DEFAULT_ASSET_TYPES = ['image'];
+
+/**
+ * Handlers registered through registerAssetHandler, in registration order
+ * @type {object[]}
+ */
+const registeredHandlers = [];
+
+/**
+ * Normalized entries of 'window.hlx.aemassets.externalImageUrlPrefixes'
+ * @type {{source: Array, length: number, entries: object[]}}
+ */
+let configuredHandlers = {};
+
+let handlerCount = 0;
+
+/**
+ * Converts a host name pattern with `*` wildcards into a regular expression.
+ * @param {string} pattern The host name pattern, e.g. `delivery-*.adobeaemcloud.com`
+ * @returns {RegExp} The regular expression
+ * @private
+ */
+function hostnamePatternToRegExp(pattern) {
+  const escaped = pattern.toLowerCase().split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Tests a string against a string or RegExp matcher.
+ * @param {string} value The value to test
+ * @param {string|RegExp} matcher The matcher
+ * @param {function} compare Comparison used for string matchers
+ * @returns {boolean} Whether the value matches
+ * @private
+ */
+function testValue(value, matcher, compare) {
+  if (matcher instanceof RegExp) return matcher.test(value);
+  return compare(value, matcher);
+}
+
+/**
+ * Creates a predicate from a handler matcher. Supported matchers are:
+ * - a string, matching URLs starting with it (the `externalImageUrlPrefixes` behaviour)
+ * - a RegExp, tested against the full URL
+ * - an object with `prefix`, `hostname` (string with `*` wildcards or RegExp)
+ *   and/or `path` (path prefix or RegExp), all of which must match
+ * - a function receiving the URL string and the parsed URL
+ * @param {string|RegExp|object|function} match The matcher
+ * @returns {function} The predicate, receiving the URL string and the parsed URL
+ * @private
+ */
+function createMatcher(match) {
+  if (typeof match === 'function') return match;
+  if (typeof match === 'string') return (src) => src.startsWith(match);
+  if (match instanceof RegExp) return (src) => match.test(src);
+
+  if (match && typeof match === 'object') {
+    const { prefix, hostname, path } = match;
+    const hostnameMatcher = typeof hostname === 'string' ? hostnamePatternToRegExp(hostname) : hostname;
+    return (src, url) => {
+      if (prefix && !testValue(src, prefix, (value, m) => value.startsWith(m))) return false;
+      if (hostnameMatcher && !(url && hostnameMatcher.test(url.hostname))) return false;
+      if (path && !(url && testValue(url.pathname, path, (value, m) => value.startsWith(m)))) {
+        return false;
+      }
+      return !!(prefix || hostnameMatcher || path);
+    };
+  }
+
+  throw new TypeError('Asset handler requires a string, RegExp, object or function matcher');
+}
+
+/**
+ * Normalizes a handler definition, accepting the `[prefix, handler]` tuple format
+ * of `window.hlx.aemassets.externalImageUrlPrefixes`.
+ * @param {Array|object} definition The handler definition
+ * @returns {object|null} The normalized entry or null if the definition is invalid
+ * @private
+ */
+function normalizeHandler(definition) {
+  if (Array.isArray(definition)) {
+    if (definition.length !== 2) return null;
+    const [prefix, handler] = definition;
+    return normalizeHandler({ match: prefix, handler });
+  }
+
+  if (!definition || typeof definition.handler !== 'function') return null;
+
+  handlerCount += 1;
+  const {
+    id, match, handler, priority = 0, options = {}, assetTypes = DEFAULT_ASSET_TYPES,
+  } = definition;
+  return {
+    id: id || `asset-handler-${handlerCount}`,
+    match,
+    matcher: createMatcher(match),
+    handler,
+    priority: Number(priority) || 0,
+    options,
+    assetTypes,
+  };
+}
+
+/**
+ * Gets the handlers configured in 'window.hlx.aemassets.externalImageUrlPrefixes'.
+ * Entries can be `[prefix, handler]` tuples or handler definitions, invalid entries are ignored.
+ * @returns {object[]} The normalized entries
+ * @private
+ */
+function getConfiguredHandlers() {
+  const configured = window.hlx?.aemassets?.externalImageUrlPrefixes;
+  if (!Array.isArray(configured)) return [];
+
+  // normalize once per config, so ids stay stable across calls
+  if (configuredHandlers.source !== configured
+    || configuredHandlers.length !== configured.length) {
+    configuredHandlers = {
+      source: configured,
+      length: configured.length,
+      entries: configured.map((definition) => {
+        try {
+          return normalizeHandler(definition);
+        } catch (e) {
+          return null;
+        }
+      }).filter(Boolean),
+    };
+  }
+  return configuredHandlers.entries;
+}
+
+/**
+ * Registers an asset handler.
+ * @param {object} definition The handler definition
+ * @param {string} [definition.id] Unique id, used to unregister the handler
+ * @param {string|RegExp|object|function} definition.match The URL matcher: a URL prefix,
+ *   a RegExp, an object with `prefix`, `hostname` (supports `*` wildcards) and `path`,
+ *   or a predicate receiving the URL string and the parsed URL
+ * @param {function} definition.handler The function creating the element for the asset,
+ *   e.g. createOptimizedPictureForDMOpenAPI
+ * @param {number} [definition.priority=0] Handlers with a higher priority are matched first
+ * @param {object} [definition.options] Options passed to the handler,
+ *   e.g. `breakpoints`, `quality` or `smartCrops`
+ * @param {string[]} [definition.assetTypes=['image']] The asset types the handler supports
+ * @returns {string} The id of the registered handler
+ * @example
+ * registerAssetHandler({
+ *   id: 'dm-openapi',
+ *   match: { hostname: 'delivery-*.adobeaemcloud.com', path: '/adobe/assets/' },
+ *   handler: createOptimizedPictureForDMOpenAPI,
+ *   priority: 10,
+ *   options: { quality: 80 },
+ * });
+ */
+export function registerAssetHandler(definition) {
+  const entry = normalizeHandler(definition);
+  if (!entry) {
+    throw new TypeError('Asset handler requires a handler function');
+  }
+
+  // re-registering an id replaces the previous handler
+  const index = registeredHandlers.findIndex(({ id }) => id === entry.id);
+  if (index !== -1) {
+    registeredHandlers.splice(index, 1, entry);
+  } else {
+    registeredHandlers.push(entry);
+  }
+  return entry.id;
+}
+
+/**
+ * Unregisters asset handlers.
+ * @param {string|function} idOrHandler The id of the handler or the handler function,
+ *   in which case all entries using it are removed
+ * @returns {boolean} Whether a handler was removed
+ */
+export function unregisterAssetHandler(idOrHandler) {
+  let removed = false;
+  for (let i = registeredHandlers.length - 1; i >= 0; i -= 1) {
+    const { id, handler } = registeredHandlers[i];
+    if (id === idOrHandler || handler === idOrHandler) {
+      registeredHandlers.splice(i, 1);
+      removed = true;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Gets all asset handlers, registered ones first and then the ones configured in
+ * 'window.hlx.aemassets.externalImageUrlPrefixes', sorted by descending priority.
+ * @returns {object[]} The handler entries
+ */
+export function getAssetHandlers() {
+  return [...registeredHandlers, ...getConfiguredHandlers()]
+    // Array.prototype.sort is stable, so equal priorities keep their order
+    .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Finds the handler for an asset URL.
+ * @param {string} src The asset URL
+ * @param {object} [filter] Filter on the handlers
+ * @param {string} [filter.assetType='image'] The type of the asset
+ * @returns {object|null} The matching handler entry with its `handler` and `options`,
+ *   or null if no handler matches
+ */
+export function matchAssetHandler(src, { assetType = 'image' } = {}) {
+  if (!src) return null;
+
+  let url = null;
+  try {
+    url = new URL(src, window.location.href);
+  } catch (e) {
+    // not a valid URL, only string based matchers can match
+  }
+
+  return getAssetHandlers().find((entry) => entry.assetTypes.includes(assetType)
+    && entry.matcher(src, url)) || null;
+}
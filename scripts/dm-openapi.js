@@ -0,0 +1,358 @@
+/**
+ * Path prefix shared by all Dynamic Media OpenAPI delivery URLs
+ * @constant {string}
+ */
+const ASSETS_PATH = '/adobe/assets/';
+
+/**
+ * Matches the asset part of a DM OpenAPI delivery path, capturing the asset URN
+ * and whatever comes after it.
+ * @constant {RegExp}
+ */
+const DM_OPENAPI_PATH = /^\/adobe\/assets\/(urn:aaid:aem:[^/]+)(?:\/(.*))?$/;
+
+/**
+ * Formats DM OpenAPI can generate a web rendition in (the `/as/` endpoint)
+ * @constant {string[]}
+ */
+const RENDITION_FORMATS = ['avif', 'webp', 'jpg', 'jpeg', 'png', 'gif'];
+
+/**
+ * Rendition parameters understood by DM OpenAPI, in the order they are serialized
+ * @constant {string[]}
+ */
+const RENDITION_PARAMS = ['width', 'height', 'quality', 'crop', 'rotate', 'flip', 'smartcrop'];
+
+/**
+ * Normalizes a positive integer parameter value.
+ * @param {string} name The parameter name, used in the error message
+ * @param {string|number} value The value to check
+ * @returns {string} The value as a string
+ * @private
+ */
+function toPositiveInteger(name, value) {
+  const str = String(value).trim();
+  if (!/^\d+$/.test(str) || Number(str) === 0) {
+    throw new RangeError(`Invalid DM OpenAPI ${name} "${value}", expected a positive integer`);
+  }
+  return String(Number(str));
+}
+
+/**
+ * Validators for the rendition parameters. Each returns the normalized string value
+ * or throws if the value is not accepted by DM OpenAPI.
+ * @constant {Object<string, function>}
+ */
+const PARAM_VALIDATORS = {
+  width: (value) => toPositiveInteger('width', value),
+  height: (value) => toPositiveInteger('height', value),
+  quality: (value) => {
+    const quality = toPositiveInteger('quality', value);
+    if (Number(quality) > 100) {
+      throw new RangeError(`Invalid DM OpenAPI quality "${value}", expected 1-100`);
+    }
+    return quality;
+  },
+  crop: (value) => {
+    const crop = String(value).replace(/\s+/g, '');
+    if (!/^\d+(\.\d+)?p?(,\d+(\.\d+)?p?){3}$/.test(crop)) {
+      throw new TypeError(`Invalid DM OpenAPI crop "${value}", expected "x,y,width,height"`);
+    }
+    return crop;
+  },
+  rotate: (value) => {
+    const rotate = String(value);
+    if (!['90', '180', '270'].includes(rotate)) {
+      throw new RangeError(`Invalid DM OpenAPI rotate "${value}", expected 90, 180 or 270`);
+    }
+    return rotate;
+  },
+  flip: (value) => {
+    const flip = String(value).toLowerCase();
+    if (!['h', 'v', 'hv'].includes(flip)) {
+      throw new TypeError(`Invalid DM OpenAPI flip "${value}", expected h, v or hv`);
+    }
+    return flip;
+  },
+  smartcrop: (value) => {
+    const smartcrop = String(value).trim();
+    if (!smartcrop) {
+      throw new TypeError('Invalid DM OpenAPI smartcrop, expected a preset name');
+    }
+    return smartcrop;
+  },
+};
+
+/**
+ * Splits a file name into its base name and extension.
+ * @param {string} filename The file name
+ * @returns {{name: string, ext: string}} The base name and lower-cased extension
+ * @private
+ */
+function splitFilename(filename) {
+  const index = filename.lastIndexOf('.');
+  if (index <= 0) return { name: filename, ext: '' };
+  return { name: filename.substring(0, index), ext: filename.substring(index + 1).toLowerCase() };
+}
+
+/**
+ * Checks if a URL is a DM OpenAPI delivery URL.
+ * @param {string} src The URL to check
+ * @returns {boolean} True if the URL is a DM OpenAPI URL, false otherwise.
+ * @example
+ * isDMOpenAPIUrl('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:db6f951a-3865-42cf-ad38-13a33cff9e75/as/candy.avif');
+ * // returns true
+ */
+export function isDMOpenAPIUrl(src) {
+  return /^https?:\/\/[^/]+\/adobe\/assets\/urn:aaid:aem:/.test(src || '');
+}
+
+/**
+ * Parses a DM OpenAPI delivery URL into its parts.
+ *
+ * The returned object has the following shape:
+ * - `origin`: the delivery origin, e.g. `https://delivery-p66302-e574366.adobeaemcloud.com`
+ * - `host`: the delivery host name
+ * - `assetId`: the asset URN, e.g. `urn:aaid:aem:...`
+ * - `mode`: `'as'` for web renditions, `'original'` for the original binary,
+ *   or `null` for any other endpoint (see `resource`)
+ * - `resource`: the path after the asset URN for endpoints other than `as`/`original`
+ * - `seoName`: the SEO file name without extension
+ * - `format`: the extension of the requested file
+ * - `assetname`: the `assetname` query parameter, if any
+ * - `params`: the rendition parameters (width, height, quality, crop, rotate, flip, smartcrop)
+ * - `searchParams`: any other query parameters
+ *
+ * @param {string|URL} src The URL to parse
+ * @param {string} [base] Base URL used to resolve relative URLs
+ * @returns {Object|null} The parsed URL or null if it is not a DM OpenAPI URL
+ * @example
+ * parseDMOpenAPIUrl('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437/as/hero.avif?assetname=hero.png&width=750');
+ * // returns {
+ * //   origin: 'https://delivery-p66302-e574366.adobeaemcloud.com',
+ * //   host: 'delivery-p66302-e574366.adobeaemcloud.com',
+ * //   assetId: 'urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437',
+ * //   mode: 'as', resource: null, seoName: 'hero', format: 'avif',
+ * //   assetname: 'hero.png', params: { width: '750' }, searchParams: URLSearchParams {},
+ * // }
+ */
+export function parseDMOpenAPIUrl(src, base) {
+  let url;
+  try {
+    url = new URL(src, base);
+  } catch (e) {
+    return null;
+  }
+
+  const match = DM_OPENAPI_PATH.exec(url.pathname);
+  if (!match) return null;
+
+  const [, assetId, rest = ''] = match;
+  const parsed = {
+    origin: url.origin,
+    host: url.host,
+    assetId,
+    mode: null,
+    resource: null,
+    seoName: '',
+    format: '',
+    assetname: null,
+    params: {},
+    searchParams: new URLSearchParams(),
+  };
+
+  const asMatch = /^(?:(?:renditions\/)?(original)\/)?as\/([^/]+)$/.exec(rest);
+  if (asMatch) {
+    const { name, ext } = splitFilename(decodeURIComponent(asMatch[2]));
+    parsed.mode = asMatch[1] ? 'original' : 'as';
+    parsed.seoName = name;
+    parsed.format = ext;
+  } else {
+    parsed.resource = rest || null;
+  }
+
+  url.searchParams.forEach((value, key) => {
+    if (key === 'assetname') {
+      parsed.assetname = value;
+    } else if (RENDITION_PARAMS.includes(key)) {
+      parsed.params[key] = value;
+    } else {
+      parsed.searchParams.append(key, value);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Checks if a URL is a DM OpenAPI video delivery URL, i.e. the `play` endpoint
+ * or an adaptive streaming manifest (`manifest.mpd` for DASH, `manifest.m3u8` for HLS).
+ * @param {string} src The URL to check
+ * @returns {boolean} True if the URL is a DM OpenAPI video URL, false otherwise.
+ * @example
+ * isDMOpenAPIVideoUrl('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:db6f951a-3865-42cf-ad38-13a33cff9e75/play');
+ * // returns true
+ */
+export function isDMOpenAPIVideoUrl(src) {
+  if (!isDMOpenAPIUrl(src)) return false;
+  const parsed = parseDMOpenAPIUrl(src);
+  return !!parsed?.resource && /(?:^|\/)(?:play|manifest\.mpd|manifest\.m3u8)$/.test(parsed.resource);
+}
+
+/**
+ * Serializes a parsed DM OpenAPI URL back into a URL string,
+ * validating the rendition parameters on the way.
+ * @param {Object} parsed The parsed URL, as returned by parseDMOpenAPIUrl
+ * @returns {string} The URL
+ * @throws {TypeError|RangeError} If a part of the URL is missing or invalid
+ * @example
+ * buildDMOpenAPIUrl({
+ *   origin: 'https://delivery-p66302-e574366.adobeaemcloud.com',
+ *   assetId: 'urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437',
+ *   mode: 'as', seoName: 'hero', format: 'webp', params: { width: 750, quality: 80 },
+ * });
+ * // returns 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437/as/hero.webp?width=750&quality=80'
+ */
+export function buildDMOpenAPIUrl(parsed) {
+  const {
+    origin, assetId, mode, resource, seoName, format, assetname, params = {}, searchParams,
+  } = parsed || {};
+
+  if (!origin || !assetId || !/^urn:aaid:aem:[^/]+$/.test(assetId)) {
+    throw new TypeError('DM OpenAPI URL requires an origin and an asset URN');
+  }
+
+  let path = `${ASSETS_PATH}${assetId}`;
+  if (mode === 'as' || mode === 'original') {
+    if (!seoName || !format) {
+      throw new TypeError(`DM OpenAPI "${mode}" URL requires a SEO name and a format`);
+    }
+    if (mode === 'as' && !RENDITION_FORMATS.includes(format.toLowerCase())) {
+      throw new TypeError(`Unsupported DM OpenAPI rendition format "${format}"`);
+    }
+    const filename = encodeURIComponent(`${seoName}.${format}`);
+    path += mode === 'original' ? `/original/as/${filename}` : `/as/${filename}`;
+  } else if (resource) {
+    path += `/${resource}`;
+  }
+
+  const url = new URL(path, origin);
+  if (assetname) url.searchParams.set('assetname', assetname);
+  RENDITION_PARAMS.forEach((key) => {
+    const value = params[key];
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, PARAM_VALIDATORS[key](value));
+    }
+  });
+  if (searchParams) {
+    new URLSearchParams(searchParams).forEach((value, key) => {
+      url.searchParams.append(key, value);
+    });
+  }
+
+  return url.toString();
+}
+
+/**
+ * Gets the URL of the poster image of a DM OpenAPI video: the web rendition of the video
+ * asset, which is delivered as a thumbnail of the video.
+ * There is no frame-at-time option: DM OpenAPI does not document a parameter to render the
+ * frame at a given time of a video, so the thumbnail of the asset is used, which can be
+ * changed on the asset in AEM.
+ * @param {string} src The video URL, e.g. the `play` endpoint or a manifest
+ * @param {string} [seoName='poster'] The SEO file name of the poster image
+ * @param {string} [format='jpg'] The format of the poster image, one of the rendition formats
+ * @returns {string|null} The poster URL or null if it is not a DM OpenAPI video URL,
+ *   or the format is not supported
+ * @example
+ * getDMOpenAPIVideoPosterUrl('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:db6f951a-3865-42cf-ad38-13a33cff9e75/play', 'teaser');
+ * // returns 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:db6f951a-3865-42cf-ad38-13a33cff9e75/as/teaser.jpg'
+ */
+export function getDMOpenAPIVideoPosterUrl(src, seoName = 'poster', format = 'jpg') {
+  if (!isDMOpenAPIVideoUrl(src) || !RENDITION_FORMATS.includes(String(format).toLowerCase())) {
+    return null;
+  }
+  const { origin, assetId } = parseDMOpenAPIUrl(src);
+  return buildDMOpenAPIUrl({
+    origin, assetId, mode: 'as', seoName, format,
+  });
+}
+
+/**
+ * Drops the rendition parameters DM OpenAPI does not accept and normalizes the others,
+ * so that pictures still render when an authored URL or a handler option is invalid.
+ * Unknown keys, `null` and `undefined` values are kept as they are.
+ * @param {Object} params The rendition parameters
+ * @returns {Object} The valid parameters
+ * @example
+ * filterDMOpenAPIParams({ width: '750', rotate: '45', quality: 85.5 });
+ * // returns { width: '750' }
+ */
+export function filterDMOpenAPIParams(params = {}) {
+  return Object.entries(params).reduce((valid, [key, value]) => {
+    if (!PARAM_VALIDATORS[key] || value === null || value === undefined) {
+      valid[key] = value;
+      return valid;
+    }
+    try {
+      valid[key] = PARAM_VALIDATORS[key](value);
+    } catch (e) {
+      // invalid values are dropped
+    }
+    return valid;
+  }, {});
+}
+
+/**
+ * Derives a web rendition (`/as/` endpoint) from a parsed DM OpenAPI URL.
+ * `/original/as/` URLs are converted to `/as/` URLs, keeping the original file name
+ * in the `assetname` parameter.
+ * @param {Object} parsed The parsed URL, as returned by parseDMOpenAPIUrl
+ * @param {Object} [overrides] The format and rendition parameters to set,
+ *   a `null` value removes the parameter
+ * @param {string} [overrides.format] The rendition format, defaults to the current format
+ *   or to `avif` when converting an original
+ * @returns {Object} A new parsed URL object
+ * @example
+ * const rendition = toDMOpenAPIRendition(parseDMOpenAPIUrl(src), { width: 750 });
+ * buildDMOpenAPIUrl(rendition);
+ */
+export function toDMOpenAPIRendition(parsed, { format, ...params } = {}) {
+  const rendition = {
+    ...parsed,
+    params: { ...parsed.params },
+    searchParams: new URLSearchParams(parsed.searchParams),
+  };
+
+  if (parsed.mode === 'original') {
+    rendition.mode = 'as';
+    rendition.format = 'avif';
+    if (!rendition.assetname) {
+      rendition.assetname = parsed.format ? `${parsed.seoName}.${parsed.format}` : parsed.seoName;
+    }
+  }
+  if (format) rendition.format = format;
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      delete rendition.params[key];
+    } else {
+      rendition.params[key] = value;
+    }
+  });
+
+  return rendition;
+}
+
+/**
+ * Gets the extension of the source asset behind a DM OpenAPI URL, which can differ from
+ * the requested rendition format (e.g. `hero.avif?assetname=hero.png` is a png asset).
+ * @param {Object} parsed The parsed URL, as returned by parseDMOpenAPIUrl
+ * @returns {string} The lower-cased extension or an empty string
+ */
+export function getDMOpenAPIAssetExtension(parsed) {
+  if (parsed.assetname) {
+    return splitFilename(parsed.assetname).ext;
+  }
+  return parsed.format;
+}
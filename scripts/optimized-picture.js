@@ -0,0 +1,735 @@
+import {
+  parseDMOpenAPIUrl,
+  buildDMOpenAPIUrl,
+  toDMOpenAPIRendition,
+  filterDMOpenAPIParams,
+  getDMOpenAPIAssetExtension,
+} from './dm-openapi.js';
+import { isScene7Url, parseScene7Url, buildScene7Url } from './scene7.js';
+
+/*
+ * DOM-free core of the optimized pictures: the describe* functions return a serializable
+ * description of the picture, `{ tag, attributes, children }`, which is rendered as DOM by
+ * the createOptimizedPicture* functions of aem-assets.js or as HTML by renderPictureHTML.
+ * Nothing in here may touch `document`, and `window` only behind a guard,
+ * so it can run in build scripts, edge workers or Node.
+ */
+
+/**
+ * All supported image formats
+ * @constant {string[]}
+ */
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg'];
+
+/**
+ * Vector/excluded formats that don't support smart cropping
+ * @constant {string[]}
+ * @note Can be extended with other vector formats like 'ai', 'eps', 'pdf'
+ */
+const SMART_CROP_EXCLUDED_FORMATS = ['svg'];
+
+/**
+ * Default width ladder used to build `srcset` candidates,
+ * can be overridden with `window.hlx.aemassets.responsiveImages.widths`
+ * @constant {number[]}
+ */
+const DEFAULT_SRCSET_WIDTHS = [320, 480, 640, 750, 1024, 1280, 1600, 2000];
+
+/**
+ * Default `sizes` attribute, can be overridden with `window.hlx.aemassets.responsiveImages.sizes`
+ * @constant {string}
+ */
+const DEFAULT_SIZES = '100vw';
+
+/**
+ * Default size and quality of the low quality image placeholder renditions,
+ * can be overridden with 'window.hlx.aemassets.lqip'
+ * @constant {{width: number, quality: number}}
+ */
+const DEFAULT_LQIP = { width: 32, quality: 20 };
+
+/**
+ * Elements without content or end tag
+ * @constant {string[]}
+ */
+const VOID_ELEMENTS = ['img', 'source'];
+
+/**
+ * Gets the plugin config from 'window.hlx.aemassets', if running in a browser.
+ * @returns {object} The config
+ * @private
+ */
+function getConfig() {
+  return (typeof window !== 'undefined' && window.hlx?.aemassets) || {};
+}
+
+/**
+ * Gets the URL relative image URLs are resolved against, the page URL in a browser.
+ * @returns {string|undefined} The base URL
+ * @private
+ */
+function getBaseUrl() {
+  return typeof window !== 'undefined' ? window.location.href : undefined;
+}
+
+/**
+ * Gets the extension of a URL.
+ * @param {string} url The URL
+ * @returns {string} The extension
+ * @private
+ * @example
+ * get_url_extension('https://example.com/foo.jpg');
+ * // returns 'jpg'
+ * get_url_extension('https://example.com/foo.jpg?bar=baz');
+ * // returns 'jpg'
+ * get_url_extension('https://example.com/foo');
+ * // returns ''
+ * get_url_extension('https://example.com/foo.jpg#qux');
+ * // returns 'jpg'
+ * get_url_extension('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:db6f951a-3865-42cf-ad38-13a33cff9e75/as/candy.avif?assetname=candy.jpg');
+ * // returns 'avif'
+ */
+function getUrlExtension(url) {
+  return url.split(/[#?]/)[0].split('.').pop().trim();
+}
+
+/**
+ * Checks if a URL has a supported image extension
+ * @param {string} url The URL to check
+ * @returns {boolean} Whether the URL has a supported image extension
+ */
+export function isImageUrl(url) {
+  if (!url) return false;
+  const ext = getUrlExtension(url);
+
+  if (ext && IMAGE_FORMATS.includes(ext.toLowerCase())) return true;
+
+  // Check for '/is/image/' for handling DM image URLs
+  if (url.includes('is/image/')) return true;
+
+  return false;
+}
+
+/**
+ * Determines if an image type supports smart cropping
+ * @param {string} url The image URL
+ * @returns {boolean} Whether the image type supports smart cropping
+ */
+export function supportsSmartCrop(url) {
+  if (!url) return false;
+  // Scene7 image serving always delivers raster renditions
+  if (isScene7Url(url)) return true;
+  const dmOpenAPIUrl = parseDMOpenAPIUrl(url);
+  const ext = dmOpenAPIUrl
+    ? getDMOpenAPIAssetExtension(dmOpenAPIUrl)
+    : getUrlExtension(url).toLowerCase();
+
+  // Smart crops work for raster images but not for excluded vector formats
+  return !SMART_CROP_EXCLUDED_FORMATS.includes(ext) && IMAGE_FORMATS.includes(ext);
+}
+
+/*
+  * Appends query params to a URL.
+  * @param {URL} url The URL object to append query params to
+  * @param {URLSearchParams} params The query params to append
+  * @returns {string} The URL string with query params appended
+  * @example
+  * appendQueryParams('https://example.com', { foo: 'bar' });
+  * // returns 'https://example.com?foo=bar'
+*/
+export function appendQueryParams(url, params) {
+  const { searchParams } = url;
+  params.forEach((value, key) => {
+    searchParams.set(key, value);
+  });
+  url.search = searchParams.toString();
+  return url.toString();
+}
+
+/**
+ * Gets the responsive images config from 'window.hlx.aemassets.responsiveImages'.
+ * @returns {{widths: number[], sizes: string, densities: number[]}} The config
+ * @private
+ */
+function getResponsiveImagesConfig() {
+  return getConfig().responsiveImages || {};
+}
+
+/**
+ * Gets the srcset candidates for a breakpoint.
+ * By default the candidates are the widths of the ladder below the breakpoint width,
+ * plus the breakpoint width itself, each with a `w` descriptor.
+ * If densities are configured, the breakpoint width is the 1x width and each density
+ * gets a `x` descriptor instead.
+ * @param {object} br The breakpoint
+ * @returns {{width: string, descriptor: string}[]} The candidates
+ * @example
+ * getSrcsetCandidates({ width: '750' });
+ * // returns [{ width: '320', descriptor: '320w' }, ..., { width: '750', descriptor: '750w' }]
+ * getSrcsetCandidates({ width: '750', densities: [1, 2] });
+ * // returns [{ width: '750', descriptor: '1x' }, { width: '1500', descriptor: '2x' }]
+ */
+export function getSrcsetCandidates(br) {
+  const config = getResponsiveImagesConfig();
+  const maxWidth = Number(br.width);
+  if (!maxWidth) return [{ width: br.width, descriptor: '' }];
+
+  const densities = br.densities || config.densities;
+  if (densities?.length) {
+    return densities.map((density) => ({
+      width: String(Math.round(maxWidth * density)),
+      descriptor: `${density}x`,
+    }));
+  }
+
+  const widths = (br.widths || config.widths || DEFAULT_SRCSET_WIDTHS)
+    .map(Number)
+    .filter((width) => width > 0 && width < maxWidth);
+  return [...new Set([...widths, maxWidth])]
+    .sort((a, b) => a - b)
+    .map((width) => ({ width: String(width), descriptor: `${width}w` }));
+}
+
+/**
+ * Gets the srcset and sizes attributes of a source or img element for a breakpoint.
+ * @param {object} br The breakpoint
+ * @param {function} getUrl Returns the rendition URL for a given width
+ * @returns {{srcset: string, sizes: string|undefined}} The attributes
+ * @private
+ */
+function getResponsiveSrcset(br, getUrl) {
+  const candidates = getSrcsetCandidates(br);
+  const srcset = candidates
+    .map(({ width, descriptor }) => (descriptor ? `${getUrl(width)} ${descriptor}` : getUrl(width)))
+    .join(', ');
+
+  // sizes only applies to width descriptors
+  const sizes = candidates.some(({ descriptor }) => descriptor.endsWith('w'))
+    ? br.sizes || getResponsiveImagesConfig().sizes || DEFAULT_SIZES
+    : undefined;
+  return { srcset, sizes };
+}
+
+/**
+ * Gets the aspect ratio (width / height) from dimensions or a smartcrop preset.
+ * @param {object} [dimensions] The dimensions, with `width` and `height`
+ * or an `aspectRatio` as number or string (`'16:9'` or `'16/9'`)
+ * @returns {number|null} The aspect ratio or null if unknown
+ * @private
+ */
+function getAspectRatio(dimensions) {
+  if (!dimensions) return null;
+  const { width, height, aspectRatio } = dimensions;
+  if (aspectRatio) {
+    const [w, h = 1] = String(aspectRatio).split(/[:/]/).map(Number);
+    return w > 0 && h > 0 ? w / h : null;
+  }
+  return Number(width) > 0 && Number(height) > 0 ? Number(width) / Number(height) : null;
+}
+
+/**
+ * Gets the dimensions of an image from the width and height params of its URL
+ * (`width`/`height` for DM OpenAPI, `wid`/`hei` for Scene7).
+ * @param {string} src The image URL
+ * @returns {{width: number, height: number}|null} The dimensions or null if unknown
+ * @private
+ */
+function getUrlDimensions(src) {
+  try {
+    const { searchParams } = new URL(src, getBaseUrl());
+    const width = Number(searchParams.get('width') || searchParams.get('wid'));
+    const height = Number(searchParams.get('height') || searchParams.get('hei'));
+    return width > 0 && height > 0 ? { width, height } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Gets the width and height attributes of a source or img element,
+ * so browsers can reserve the space before the image loads.
+ * @param {number|string} width The rendered width
+ * @param {number|null} ratio The aspect ratio (width / height)
+ * @returns {{width: string, height: string}|{}} The attributes, empty if unknown
+ */
+export function getIntrinsicDimensions(width, ratio) {
+  const w = Number(width);
+  if (!w || !ratio) return {};
+  return { width: String(Math.round(w)), height: String(Math.round(w / ratio)) };
+}
+
+/**
+ * Gets the low quality image placeholder config, merging the handler options
+ * over 'window.hlx.aemassets.lqip' and the defaults.
+ * @param {boolean|object} [lqip] The `lqip` handler option
+ * @returns {{width: number, quality: number}} The config
+ * @private
+ */
+function getLqipConfig(lqip) {
+  const siteConfig = getConfig().lqip;
+  return {
+    ...DEFAULT_LQIP,
+    ...(typeof siteConfig === 'object' ? siteConfig : {}),
+    ...(typeof lqip === 'object' ? lqip : {}),
+  };
+}
+
+/**
+ * Gets the params with a value, so the handler options that are not set
+ * don't override or remove the params of the authored URL.
+ * @param {object} params The params
+ * @returns {object} The params without `undefined` or `null` values
+ * @private
+ */
+function getDefinedParams(params) {
+  return Object.fromEntries(Object.entries(params)
+    .filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Describes an element. Attributes with an `undefined`, `null` or `false` value are left out,
+ * the others keep their order.
+ * @param {string} tag The tag name
+ * @param {object} [attributes] The attributes
+ * @param {object[]} [children] The descriptions of the child elements
+ * @returns {{tag: string, attributes: object, children: object[]}} The description
+ * @private
+ */
+function describeElement(tag, attributes = {}, children = []) {
+  const description = { tag, attributes: {}, children };
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== false) {
+      description.attributes[name] = String(value);
+    }
+  });
+  return description;
+}
+
+/**
+ * Describes the picture element wrapping the sources and img.
+ * The behaviors (smartcrop fallback, low quality image placeholder) are declared as attributes,
+ * the DOM layer attaches them, see attachPictureBehaviors in aem-assets.js:
+ * - `data-smartcrop-status="loading"` to fall back to the uncropped renditions
+ * - the `lqip` class, the `--lqip-image` custom property and `data-lqip-status="loading"`
+ *   to show a blurred placeholder until the img loads
+ * @param {object[]} children The descriptions of the sources and img
+ * @param {object} [behaviors] The behaviors
+ * @param {boolean} [behaviors.smartcrop=false] Whether the picture renders smartcrops
+ * @param {boolean} [behaviors.smartcropFallback=false] Whether to fall back to the uncropped
+ * renditions when a smartcrop rendition fails to load
+ * @param {string} [behaviors.lqip] The URL of the low quality image placeholder rendition
+ * @returns {object} The description
+ * @private
+ */
+function describePicture(children, { smartcrop = false, smartcropFallback = false, lqip } = {}) {
+  const classes = [...(smartcrop ? ['smartcrop'] : []), ...(lqip ? ['lqip'] : [])];
+  return describeElement('picture', {
+    class: classes.join(' ') || null,
+    'data-smartcrop-status': smartcropFallback && 'loading',
+    style: lqip && `--lqip-image: url("${lqip}");`,
+    'data-lqip-status': lqip && 'loading',
+  }, children);
+}
+
+/**
+ * Gets the breakpoints of the smartcrop presets.
+ * @param {object} smartCrops The smartcrop presets
+ * @returns {object[]} The breakpoints
+ * @private
+ */
+function getSmartcropBreakpoints(smartCrops) {
+  return Object.entries(smartCrops).map(
+    ([name, { minWidth, maxWidth }]) => ({
+      media: `(min-width: ${minWidth}px) and (max-width: ${maxWidth}px)`,
+      smartcrop: name,
+      width: maxWidth || '2000',
+    }),
+  );
+}
+
+/**
+ * Describes an optimized picture element for an image, see createOptimizedPicture.
+ * @param {string} src The image source URL
+ * @param {string} alt The image alt text
+ * @param {boolean} eager Whether to load the image eagerly
+ * @param {object[]} breakpoints The breakpoints to use
+ * @param {object} options The handler options
+ * @returns {object} The picture description
+ */
+export function describeOptimizedPicture(
+  src,
+  alt = '',
+  eager = false,
+  breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
+) {
+  const url = new URL(src);
+  const { pathname } = url;
+  const ext = pathname.substring(pathname.lastIndexOf('.') + 1);
+  const ratio = getAspectRatio(options.dimensions || getUrlDimensions(src));
+  const children = [];
+
+  // webp
+  breakpoints.forEach((br) => {
+    children.push(describeElement('source', {
+      media: br.media,
+      type: 'image/webp',
+      ...getResponsiveSrcset(br, (width) => appendQueryParams(url, new URLSearchParams({ width, format: 'webply' }))),
+    }));
+  });
+
+  // fallback
+  breakpoints.forEach((br, i) => {
+    const getUrl = (width) => appendQueryParams(url, new URLSearchParams({ width, format: ext }));
+
+    if (i < breakpoints.length - 1) {
+      children.push(describeElement('source', {
+        media: br.media,
+        ...getResponsiveSrcset(br, getUrl),
+      }));
+    } else {
+      children.push(describeElement('img', {
+        loading: eager ? 'eager' : 'lazy',
+        alt,
+        ...getResponsiveSrcset(br, getUrl),
+        src: getUrl(br.width),
+        ...getIntrinsicDimensions(br.width, ratio),
+      }));
+    }
+  });
+
+  return describePicture(children);
+}
+
+/**
+ * Describes an optimized picture element for an image leveraging smartcrop config,
+ * see createOptimizedPictureWithSmartcrop.
+ * @param {string} src The image source URL
+ * @param {string} alt The image alt text
+ * @param {boolean} eager Whether to load the image eagerly
+ * @param {object[]} breakpoints The breakpoints to use
+ * @param {object} options The handler options
+ * @returns {object} The picture description
+ */
+export function describeOptimizedPictureWithSmartcrop(
+  src,
+  alt = '',
+  eager = false,
+  breakpoints = [],
+  options = {},
+) {
+  const smartCrops = options.smartCrops || getConfig().smartCrops;
+  const isAbsoluteUrl = /^https?:\/\//i.test(src);
+  // check if the image type supports smart cropping
+  const canUseSmartCrop = supportsSmartCrop(src);
+  // initialise breakpoint to project level smartcrop config unless needed to customise
+  let smartcropBreakpoints = breakpoints;
+  if (canUseSmartCrop && breakpoints.length === 0 && smartCrops) {
+    smartcropBreakpoints = Object.entries(smartCrops).map(
+      ([name, { minWidth, maxWidth }]) => ({
+        media: `(min-width: ${minWidth}px) and (max-width: ${maxWidth}px)`,
+        smartcrop: name,
+      }),
+    );
+  } else if (breakpoints.length === 0) {
+    // No custom breakpoints and format doesn't support smart crop (e.g., SVG)
+    smartcropBreakpoints = [];
+  }
+
+  const url = isAbsoluteUrl ? new URL(src) : new URL(src, getBaseUrl());
+  const { pathname } = url;
+  const ext = pathname.substring(pathname.lastIndexOf('.') + 1);
+  const children = [];
+
+  // webp
+  smartcropBreakpoints.forEach((br) => {
+    const searchParams = new URLSearchParams({ format: 'webply' });
+    if (br.smartcrop) {
+      searchParams.set('smartcrop', br.smartcrop);
+    }
+    children.push(describeElement('source', {
+      media: br.media,
+      type: 'image/webp',
+      srcset: appendQueryParams(url, searchParams),
+    }));
+  });
+
+  // fallback for non-webp
+  smartcropBreakpoints.forEach((br) => {
+    const searchParams = new URLSearchParams({ format: ext });
+    if (br.smartcrop) {
+      searchParams.set('smartcrop', br.smartcrop);
+    }
+    // smartcrop presets can declare their own dimensions, see docs/smartcrop.md
+    const preset = smartCrops?.[br.smartcrop];
+    children.push(describeElement('source', {
+      media: br.media,
+      srcset: appendQueryParams(url, searchParams),
+      ...getIntrinsicDimensions(br.width || preset?.width, getAspectRatio(preset)),
+    }));
+  });
+
+  // append the default image eliminating smartcrop query param if present
+  url.searchParams.delete('smartcrop');
+  const dimensions = options.dimensions || getUrlDimensions(src);
+  children.push(describeElement('img', {
+    loading: eager ? 'eager' : 'lazy',
+    alt,
+    src: url.toString(),
+    ...getIntrinsicDimensions(dimensions?.width, getAspectRatio(dimensions)),
+  }));
+
+  return describePicture(children, {
+    smartcrop: canUseSmartCrop,
+    smartcropFallback: canUseSmartCrop,
+  });
+}
+
+/**
+ * Describes an optimized picture element for Scene7 images, see createOptimizedPictureForDM.
+ * @param {string} src The image source URL
+ * @param {string} alt The image alt text
+ * @param {boolean} eager Whether to load the image eagerly
+ * @param {object[]} breakpoints The breakpoints to use
+ * @param {object} options The handler options
+ * @returns {object} The picture description
+ */
+export function describeOptimizedPictureForDM(
+  src,
+  alt = '',
+  eager = false,
+  breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
+) {
+  const scene7Url = parseScene7Url(src, getBaseUrl());
+  const {
+    preset, useSmartcrop = false, formats = ['jpeg'], quality, dpr, resMode,
+  } = options;
+  const smartCrops = options.smartCrops || getConfig().smartCrops;
+  const ratio = getAspectRatio(options.dimensions || getUrlDimensions(src));
+  // art directed sources have the aspect ratio of their smartcrop preset
+  const getSourceRatio = (br) => (br.smartcrop ? getAspectRatio(smartCrops?.[br.smartcrop]) : null);
+
+  // Builds the rendition URL for the given params through the Scene7 URL builder
+  const getRenditionUrl = ({ smartcrop, ...renditionParams }) => {
+    const params = {
+      ...getDefinedParams({ qlt: quality, dpr, resMode }),
+      ...renditionParams,
+    };
+    if (!scene7Url) {
+      const searchParams = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) searchParams.set(key, value);
+      });
+      return appendQueryParams(new URL(src, getBaseUrl()), searchParams);
+    }
+    return buildScene7Url({
+      ...scene7Url,
+      preset: preset || scene7Url.preset,
+      smartcrop: smartcrop || scene7Url.smartcrop,
+      params: { ...scene7Url.params, ...params },
+    });
+  };
+
+  // Determine which breakpoints to use
+  const renderSmartcrop = useSmartcrop && !!smartCrops;
+  const finalBreakpoints = renderSmartcrop ? getSmartcropBreakpoints(smartCrops) : breakpoints;
+  const children = [];
+
+  // type specific sources, one set per format
+  formats.forEach((format) => {
+    finalBreakpoints.forEach((br) => {
+      children.push(describeElement('source', {
+        media: br.media,
+        type: `image/${format === 'jpg' ? 'jpeg' : format}`,
+        ...getResponsiveSrcset(br, (width) => getRenditionUrl({
+          wid: width,
+          fmt: format,
+          smartcrop: br.smartcrop,
+        })),
+        ...getIntrinsicDimensions(br.width, getSourceRatio(br)),
+      }));
+    });
+  });
+
+  // fallback
+  finalBreakpoints.forEach((br, i) => {
+    if (i < finalBreakpoints.length - 1) {
+      children.push(describeElement('source', {
+        media: br.media,
+        ...getResponsiveSrcset(br, (width) => getRenditionUrl({
+          wid: width,
+          smartcrop: br.smartcrop,
+        })),
+        ...getIntrinsicDimensions(br.width, getSourceRatio(br)),
+      }));
+    } else {
+      const getUrl = (width) => getRenditionUrl({ wid: width });
+      children.push(describeElement('img', {
+        loading: eager ? 'eager' : 'lazy',
+        alt,
+        ...getResponsiveSrcset(br, getUrl),
+        src: getUrl(br.width),
+        ...getIntrinsicDimensions(br.width, ratio),
+      }));
+    }
+  });
+
+  let lqip;
+  if (options.lqip) {
+    const { width, quality: lqipQuality } = getLqipConfig(options.lqip);
+    lqip = getRenditionUrl({ wid: width, qlt: lqipQuality, fmt: 'jpeg' });
+  }
+
+  return describePicture(children, { smartcrop: renderSmartcrop, lqip });
+}
+
+/**
+ * Describes an optimized picture element for DM OpenAPI images,
+ * see createOptimizedPictureForDMOpenAPI.
+ * @param {string} src The image source URL
+ * @param {string} alt The image alt text
+ * @param {boolean} useSmartcrop Whether to use smartcrop
+ * @param {boolean} eager Whether to load the image eagerly
+ * @param {object[]} breakpoints The breakpoints to use
+ * @param {object} options The handler options
+ * @returns {object} The picture description
+ */
+export function describeOptimizedPictureForDMOpenAPI(
+  src,
+  alt = '',
+  useSmartcrop = false,
+  eager = false,
+  breakpoints = [{ media: '(min-width: 600px)', width: '2000' }, { width: '750' }],
+  options = {},
+) {
+  const dmOpenAPIUrl = parseDMOpenAPIUrl(src, getBaseUrl());
+  const smartCrops = options.smartCrops || getConfig().smartCrops;
+  const ratio = getAspectRatio(options.dimensions || getUrlDimensions(src));
+  // art directed sources have the aspect ratio of their smartcrop preset
+  const getSourceRatio = (br) => (useSmartcrop && br.smartcrop
+    ? getAspectRatio(smartCrops?.[br.smartcrop])
+    : null);
+
+  // Builds the rendition URL for the given params through the DM OpenAPI URL builder
+  const getRenditionUrl = (renditionParams) => {
+    const params = { ...getDefinedParams({ quality: options.quality }), ...renditionParams };
+    if (!dmOpenAPIUrl) {
+      const searchParams = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) searchParams.set(key, value);
+      });
+      return appendQueryParams(new URL(src, getBaseUrl()), searchParams);
+    }
+    try {
+      // invalid params of the authored URL or of the options are left out, rather than
+      // failing the whole picture
+      return buildDMOpenAPIUrl(toDMOpenAPIRendition(
+        { ...dmOpenAPIUrl, params: filterDMOpenAPIParams(dmOpenAPIUrl.params) },
+        filterDMOpenAPIParams(params),
+      ));
+    } catch (e) {
+      // e.g. an unsupported rendition format, the authored URL is used as it is
+      return src;
+    }
+  };
+
+  // Determine which breakpoints to use
+  const finalBreakpoints = useSmartcrop && smartCrops
+    ? getSmartcropBreakpoints(smartCrops)
+    : breakpoints;
+  const children = [];
+
+  // Create sources
+  finalBreakpoints.forEach((br) => {
+    children.push(describeElement('source', {
+      media: br.media,
+      type: 'image/avif',
+      ...getResponsiveSrcset(br, (width) => getRenditionUrl({
+        width,
+        smartcrop: useSmartcrop ? br.smartcrop : null,
+      })),
+      ...getIntrinsicDimensions(br.width, getSourceRatio(br)),
+    }));
+  });
+
+  // Create fallback sources (for non-last breakpoints)
+  finalBreakpoints.forEach((br, i) => {
+    if (i < finalBreakpoints.length - 1) {
+      children.push(describeElement('source', {
+        media: br.media,
+        ...getResponsiveSrcset(br, (width) => getRenditionUrl({
+          width,
+          smartcrop: useSmartcrop ? br.smartcrop : null,
+        })),
+        ...getIntrinsicDimensions(br.width, getSourceRatio(br)),
+      }));
+    }
+  });
+
+  // Create default img element (from last breakpoint or without smartcrop)
+  // For the image src, either use the last breakpoint or a clean URL
+  let imgAttributes = { src: getRenditionUrl({}) };
+  if (finalBreakpoints.length > 0) {
+    const lastBreakpoint = finalBreakpoints[finalBreakpoints.length - 1];
+    const getUrl = (width) => getRenditionUrl({ width, smartcrop: null });
+    imgAttributes = {
+      ...getResponsiveSrcset(lastBreakpoint, getUrl),
+      src: getUrl(lastBreakpoint.width),
+      ...getIntrinsicDimensions(lastBreakpoint.width, ratio),
+    };
+  }
+  children.push(describeElement('img', {
+    loading: eager ? 'eager' : 'lazy',
+    alt: alt || '',
+    ...imgAttributes,
+  }));
+
+  let lqip;
+  if (options.lqip) {
+    const { width, quality } = getLqipConfig(options.lqip);
+    lqip = getRenditionUrl({
+      width, quality, format: 'jpg', smartcrop: null,
+    });
+  }
+
+  // Add smartcrop class if using smartcrop
+  return describePicture(children, {
+    smartcrop: useSmartcrop,
+    smartcropFallback: useSmartcrop,
+    lqip,
+  });
+}
+
+/**
+ * Escapes an attribute value the way browsers serialize it (`outerHTML`).
+ * @param {string} value The attribute value
+ * @returns {string} The escaped value
+ * @private
+ */
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/\u00A0/g, '&nbsp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders an element description as an HTML string, identical to the `outerHTML`
+ * of the element created from the same description in a browser.
+ * @param {object} description The description, e.g. from describeOptimizedPictureForDMOpenAPI
+ * @returns {string} The HTML
+ * @example
+ * renderPictureHTML(describeOptimizedPictureForDMOpenAPI(src, 'Hero'));
+ * // returns '<picture><source type="image/avif" ...><img loading="lazy" alt="Hero" ...></picture>'
+ */
+export function renderPictureHTML(description) {
+  const { tag, attributes = {}, children = [] } = description;
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+  if (VOID_ELEMENTS.includes(tag)) return `<${tag}${attrs}>`;
+  return `<${tag}${attrs}>${children.map(renderPictureHTML).join('')}</${tag}>`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Matches the asset part of a Scene7 / Dynamic Media Classic image serving path,
+ * capturing the asset path and the optional smart crop modifier (e.g. `:Small`)
+ * @constant {RegExp}
+ */
+const SCENE7_IMAGE_PATH = /^\/is\/image\/([^:]+?)(?::([^/]+))?$/;
+
+/**
+ * Image serving parameters set by the rendering options, in the order they are serialized
+ * @constant {string[]}
+ */
+const SCENE7_PARAMS = ['wid', 'hei', 'fmt', 'qlt', 'dpr', 'resMode'];
+
+/**
+ * Checks if a URL is a Scene7 image serving URL.
+ * @param {string} src The URL to check
+ * @returns {boolean} True if the URL is a Scene7 image URL, false otherwise.
+ * @example
+ * isScene7Url('https://s7ap1.scene7.com/is/image/varuncloudready/hero');
+ * // returns true
+ */
+export function isScene7Url(src) {
+  return /^https?:\/\/[^/]+\/is\/image\/[^?#]+/.test(src || '');
+}
+
+/**
+ * Parses a Scene7 image serving URL into its parts:
+ * - `origin`: the image serving origin
+ * - `assetPath`: the asset path, e.g. `varuncloudready/hero`
+ * - `smartcrop`: the smart crop modifier, e.g. `Small` for `hero:Small`
+ * - `preset`: the image preset, e.g. `Hero` for `?$Hero$`
+ * - `params`: the rendering parameters (wid, hei, fmt, qlt, dpr, resMode)
+ * - `searchParams`: any other query parameters
+ * @param {string|URL} src The URL to parse
+ * @param {string} [base] Base URL used to resolve relative URLs
+ * @returns {Object|null} The parsed URL or null if it is not a Scene7 image URL
+ */
+export function parseScene7Url(src, base) {
+  let url;
+  try {
+    url = new URL(src, base);
+  } catch (e) {
+    return null;
+  }
+
+  const match = SCENE7_IMAGE_PATH.exec(url.pathname);
+  if (!match) return null;
+
+  const parsed = {
+    origin: url.origin,
+    assetPath: match[1],
+    smartcrop: match[2] || null,
+    preset: null,
+    params: {},
+    searchParams: new URLSearchParams(),
+  };
+
+  url.searchParams.forEach((value, key) => {
+    const preset = /^\$(.+)\$$/.exec(key);
+    if (preset && !value) {
+      [, parsed.preset] = preset;
+    } else if (SCENE7_PARAMS.includes(key)) {
+      parsed.params[key] = value;
+    } else {
+      parsed.searchParams.append(key, value);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Serializes a parsed Scene7 URL back into a URL string.
+ * The preset comes first, as Scene7 expects `$preset$` unencoded in front of the modifiers.
+ * @param {Object} parsed The parsed URL, as returned by parseScene7Url
+ * @returns {string} The URL
+ * @throws {TypeError} If the origin or asset path is missing
+ * @example
+ * buildScene7Url({
+ *   origin: 'https://s7ap1.scene7.com', assetPath: 'varuncloudready/hero', smartcrop: 'Small',
+ *   preset: 'Hero', params: { wid: 750, fmt: 'webp' },
+ * });
+ * // returns 'https://s7ap1.scene7.com/is/image/varuncloudready/hero:Small?$Hero$&wid=750&fmt=webp'
+ */
+export function buildScene7Url(parsed) {
+  const {
+    origin, assetPath, smartcrop, preset, params = {}, searchParams,
+  } = parsed || {};
+  if (!origin || !assetPath) {
+    throw new TypeError('Scene7 URL requires an origin and an asset path');
+  }
+
+  const query = [];
+  if (preset) query.push(`$${encodeURIComponent(preset)}$`);
+  const append = (key, value) => {
+    // keep commas readable, e.g. qlt=85,1 or dpr=on,2
+    query.push(`${encodeURIComponent(key)}=${encodeURIComponent(value).replace(/%2C/gi, ',')}`);
+  };
+  SCENE7_PARAMS.forEach((key) => {
+    const value = params[key];
+    if (value !== undefined && value !== null && value !== '') append(key, value);
+  });
+  if (searchParams) {
+    new URLSearchParams(searchParams).forEach((value, key) => append(key, value));
+  }
+
+  const path = `/is/image/${assetPath}${smartcrop ? `:${smartcrop}` : ''}`;
+  return `${origin}${path}${query.length ? `?${query.join('&')}` : ''}`;
+}
@@ -0,0 +1,431 @@
+/* eslint-env jest */
+import decorate, { testFunctions } from '../../../blocks/secure-assets/secure-assets.js';
+
+const {
+  getAssetKey,
+  getCachedVerdict,
+  cacheVerdict,
+  getSecureHint,
+  getAssetVerdict,
+  decodeJWTPayload,
+  isJWTTokenValid,
+  readToken,
+  storeToken,
+  clearToken,
+  parseOptionRow,
+} = testFunctions;
+
+const DM_HOST = 'delivery-p66302-e574366.adobeaemcloud.com';
+const NOW = Date.UTC(2026, 0, 1);
+
+// the JWT signature is not checked by the block
+const createToken = (payload) => `header.${btoa(JSON.stringify(payload))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}.signature`;
+
+describe('verdict cache', () => {
+  afterEach(() => {
+    sessionStorage.clear();
+    delete window.hlx;
+    jest.restoreAllMocks();
+  });
+
+  it('should share the key of an asset across its renditions', () => {
+    const key = getAssetKey(`https://${DM_HOST}/adobe/assets/urn:aaid:aem:1234/as/image.webp?width=750`);
+    expect(key).toBe(`${DM_HOST}/urn:aaid:aem:1234`);
+    expect(getAssetKey(`https://${DM_HOST}/adobe/assets/urn:aaid:aem:1234/as/image.avif?width=2000`))
+      .toBe(key);
+    expect(getAssetKey('https://example.com/image.png')).toBe('https://example.com/image.png');
+  });
+
+  it('should cache the verdicts for the configured time', () => {
+    window.hlx = { aemassets: { secureAssetsCacheTTL: 60 } };
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    cacheVerdict('asset', 'secure');
+    expect(getCachedVerdict('asset')).toBe('secure');
+    expect(getCachedVerdict('other')).toBeNull();
+
+    Date.now.mockReturnValue(NOW + 61000);
+    expect(getCachedVerdict('asset')).toBeNull();
+  });
+
+  it('should drop the expired verdicts', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    cacheVerdict('expired', 'public');
+    Date.now.mockReturnValue(NOW + 31 * 60 * 1000);
+    cacheVerdict('asset', 'secure');
+    expect(Object.keys(JSON.parse(sessionStorage.getItem('aem-assets-secure-verdicts'))))
+      .toEqual(['asset']);
+  });
+
+  it('should ignore an invalid cache', () => {
+    sessionStorage.setItem('aem-assets-secure-verdicts', '{');
+    expect(getCachedVerdict('asset')).toBeNull();
+  });
+});
+
+describe('getAssetVerdict', () => {
+  const src = `https://${DM_HOST}/adobe/assets/urn:aaid:aem:1234/as/image.webp?width=750`;
+  const token = createToken({ exp: NOW / 1000 + 3600 });
+  const respond = (...statuses) => {
+    global.fetch = jest.fn();
+    statuses.forEach((status) => global.fetch
+      .mockResolvedValueOnce({ ok: status === 200, status }));
+  };
+
+  afterEach(() => {
+    sessionStorage.clear();
+    delete global.fetch;
+  });
+
+  it('should tell public and secure assets apart', async () => {
+    respond(200, 401);
+    expect(await getAssetVerdict(document.createElement('img'), src)).toBe('public');
+    sessionStorage.clear();
+    expect(await getAssetVerdict(document.createElement('img'), src)).toBe('secure');
+    expect(global.fetch).toHaveBeenCalledWith(src, { method: 'HEAD' });
+  });
+
+  it('should consider an asset answering 404 without a token as missing', async () => {
+    respond(404);
+    expect(await getAssetVerdict(document.createElement('img'), src)).toBe('missing');
+    expect(await getAssetVerdict(document.createElement('img'), src)).toBe('missing');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(getCachedVerdict(`${DM_HOST}/urn:aaid:aem:1234`)).toBe('missing');
+  });
+
+  it('should probe the assets answering 404 again with a token', async () => {
+    respond(404, 404, 200);
+    expect(await getAssetVerdict(document.createElement('img'), src)).toBe('missing');
+    expect(await getAssetVerdict(document.createElement('img'), src, token)).toBe('secure');
+    expect(global.fetch).toHaveBeenLastCalledWith(src, {
+      method: 'HEAD',
+      headers: { 'x-asset-delivery-token': token },
+    });
+    expect(getCachedVerdict(`${DM_HOST}/urn:aaid:aem:1234`, token)).toBe('secure');
+  });
+
+  it('should consider an asset answering 404 with a token as missing', async () => {
+    respond(404, 404);
+    expect(await getAssetVerdict(document.createElement('img'), src, token)).toBe('missing');
+    expect(getCachedVerdict(`${DM_HOST}/urn:aaid:aem:1234`, token)).toBe('missing');
+  });
+
+  it('should not cache the assets that could not be probed', async () => {
+    respond(500);
+    expect(await getAssetVerdict(document.createElement('img'), src)).toBeNull();
+    expect(getCachedVerdict(`${DM_HOST}/urn:aaid:aem:1234`)).toBeNull();
+  });
+});
+
+describe('getSecureHint', () => {
+  it('should read the hint from the closest data-secure attribute', () => {
+    document.body.innerHTML = `
+      <div class="section" data-secure="Yes"><picture><img id="secure"></picture></div>
+      <div class="section" data-secure="true">
+        <picture data-secure="false"><img id="public"></picture>
+      </div>
+      <div class="section" data-secure="maybe"><img id="invalid"></div>
+      <div class="section"><img id="none"></div>`;
+    expect(getSecureHint(document.getElementById('secure'))).toBe('secure');
+    expect(getSecureHint(document.getElementById('public'))).toBe('public');
+    expect(getSecureHint(document.getElementById('invalid'))).toBeNull();
+    expect(getSecureHint(document.getElementById('none'))).toBeNull();
+  });
+});
+
+describe('JWT tokens', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should decode URL safe payloads', () => {
+    // the payload has characters encoded to `-` and `_` in base64url
+    const payload = { sub: 'ü??>', exp: 1 };
+    expect(decodeJWTPayload(createToken(payload))).toEqual(payload);
+  });
+
+  it('should only accept tokens expiring after the clock skew', () => {
+    expect(isJWTTokenValid(createToken({ exp: NOW / 1000 + 3600 }))).toBe(true);
+    expect(isJWTTokenValid(createToken({ exp: NOW / 1000 + 10 }))).toBe(false);
+    expect(isJWTTokenValid(createToken({ exp: NOW / 1000 - 3600 }))).toBe(false);
+  });
+
+  it('should read the expiry from the expiry claim', () => {
+    expect(isJWTTokenValid(createToken({ expiry: new Date(NOW + 3600000).toISOString() })))
+      .toBe(true);
+    expect(isJWTTokenValid(createToken({ expiry: new Date(NOW - 3600000).toISOString() })))
+      .toBe(false);
+  });
+
+  it('should not accept tokens before they are valid', () => {
+    const exp = NOW / 1000 + 3600;
+    expect(isJWTTokenValid(createToken({ exp, nbf: NOW / 1000 + 10 }))).toBe(true);
+    expect(isJWTTokenValid(createToken({ exp, nbf: NOW / 1000 + 600 }))).toBe(false);
+  });
+
+  it('should not accept invalid tokens', () => {
+    expect(isJWTTokenValid('not-a-token')).toBe(false);
+    expect(isJWTTokenValid('header.bm90IGpzb24.signature')).toBe(false);
+    expect(isJWTTokenValid(createToken({}))).toBe(false);
+  });
+});
+
+describe('token storage', () => {
+  afterEach(() => {
+    clearToken();
+    delete window.hlx;
+  });
+
+  it('should keep the token in localStorage by default', () => {
+    storeToken('local-token');
+    expect(localStorage.getItem('auth-token')).toBe('local-token');
+    expect(readToken()).toBe('local-token');
+  });
+
+  it('should keep the token in sessionStorage', () => {
+    window.hlx = { aemassets: { secureAssetsTokenStorage: 'session' } };
+    storeToken('session-token');
+    expect(sessionStorage.getItem('auth-token')).toBe('session-token');
+    expect(localStorage.getItem('auth-token')).toBeNull();
+    expect(readToken()).toBe('session-token');
+  });
+
+  it('should keep the token in memory', () => {
+    window.hlx = { aemassets: { secureAssetsTokenStorage: 'memory' } };
+    storeToken('memory-token');
+    expect(localStorage.getItem('auth-token')).toBeNull();
+    expect(sessionStorage.getItem('auth-token')).toBeNull();
+    expect(readToken()).toBe('memory-token');
+  });
+
+  it('should clear the token from all the storages', () => {
+    localStorage.setItem('auth-token', 'local-token');
+    sessionStorage.setItem('auth-token', 'session-token');
+    clearToken();
+    expect(localStorage.getItem('auth-token')).toBeNull();
+    expect(sessionStorage.getItem('auth-token')).toBeNull();
+  });
+});
+
+describe('auth-token-available', () => {
+  const dispatchToken = (token) => document
+    .dispatchEvent(new CustomEvent('auth-token-available', { detail: token }));
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    // clears the timers of the valid tokens too
+    document.dispatchEvent(new CustomEvent('auth-token-revoked'));
+    jest.restoreAllMocks();
+  });
+
+  it('should store a valid token', () => {
+    const token = createToken({ exp: NOW / 1000 + 3600 });
+    dispatchToken(token);
+    expect(localStorage.getItem('auth-token')).toBe(token);
+  });
+
+  it('should not store an invalid token, and clear the stored one', () => {
+    ['', 'not-a-token', createToken({ exp: NOW / 1000 - 3600 })].forEach((token) => {
+      storeToken(createToken({ exp: NOW / 1000 + 3600 }));
+      dispatchToken(token);
+      expect(localStorage.getItem('auth-token')).toBeNull();
+      expect(readToken()).toBeNull();
+    });
+  });
+});
+
+describe('parseOptionRow', () => {
+  const createRow = (...cells) => {
+    const row = document.createElement('div');
+    row.innerHTML = cells.map((cell) => `<div>${cell}</div>`).join('');
+    return row;
+  };
+
+  it('should parse the gate options', () => {
+    expect(parseOptionRow(createRow('Sign In Link', '<a href="https://example.com/login">Login</a>')))
+      .toEqual({ name: 'sign-in-link', value: 'https://example.com/login' });
+    expect(parseOptionRow(createRow('Sign-in text', ' Log in ')))
+      .toEqual({ name: 'sign-in-text', value: 'Log in' });
+    expect(parseOptionRow(createRow('Teaser Image', '<picture><img src="https://example.com/teaser.jpg"></picture>')))
+      .toEqual({ name: 'teaser-image', value: 'https://example.com/teaser.jpg' });
+  });
+
+  it('should not take content rows for options', () => {
+    expect(parseOptionRow(createRow('<picture><img src="https://example.com/image.jpg"></picture>', 'Locked Text'))).toBeNull();
+    expect(parseOptionRow(createRow('Caption', 'text'))).toBeNull();
+    expect(parseOptionRow(createRow('Locked Text'))).toBeNull();
+  });
+});
+
+describe('restoring secure images', () => {
+  const asset = `https://${DM_HOST}/adobe/assets/urn:aaid:aem:1234`;
+  const token = createToken({ exp: NOW / 1000 + 3600 });
+  const freshToken = createToken({ exp: NOW / 1000 + 7200 });
+  let pickedRendition;
+  let statuses;
+  let mediaQueryLists;
+
+  // the time the browser is given to pick a rendition
+  const pickRendition = () => jest.advanceTimersByTimeAsync(1000);
+
+  const createBlock = () => {
+    document.body.innerHTML = `<main><div class="secure-assets"><div><div><picture>
+      <source media="(min-width: 600px)" srcset="${asset}/as/image.webp?width=2000">
+      <source srcset="${asset}/as/image.webp?width=750">
+      <img src="${asset}/as/image.jpg?width=750" alt="">
+    </picture></div></div></div></main>`;
+    return document.querySelector('.secure-assets');
+  };
+
+  const getRestoredRequests = () => global.fetch.mock.calls
+    .filter(([, init]) => !init.method)
+    .map(([src, init]) => [src, init.headers['x-asset-delivery-token']]);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    storeToken(token);
+    pickedRendition = 'data:,rendition-1';
+    statuses = { [token]: 200, [freshToken]: 200 };
+    mediaQueryLists = [];
+
+    // the asset is secure, its renditions answer with the status of the token
+    global.fetch = jest.fn(async (src, init) => {
+      if (init.method === 'HEAD') return { ok: false, status: 401 };
+      const status = statuses[init.headers['x-asset-delivery-token']];
+      return { ok: status === 200, status, blob: async () => new Blob([src]) };
+    });
+    let objectUrls = 0;
+    URL.createObjectURL = jest.fn(() => {
+      objectUrls += 1;
+      return `blob:${objectUrls}`;
+    });
+    URL.revokeObjectURL = jest.fn();
+    window.matchMedia = jest.fn((media) => {
+      const mql = { media, listeners: new Set() };
+      mql.addEventListener = jest.fn((type, listener) => mql.listeners.add(listener));
+      mql.removeEventListener = jest.fn((type, listener) => mql.listeners.delete(listener));
+      mediaQueryLists.push(mql);
+      return mql;
+    });
+    // jsdom does not pick renditions, the stand-in the browser would pick
+    jest.spyOn(HTMLImageElement.prototype, 'currentSrc', 'get')
+      .mockImplementation(() => pickedRendition);
+  });
+
+  afterEach(() => {
+    document.dispatchEvent(new CustomEvent('auth-token-revoked'));
+    document.body.innerHTML = '';
+    sessionStorage.clear();
+    delete window.hlx;
+    delete window.matchMedia;
+    delete global.fetch;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should restore the rendition the browser picks for each source', async () => {
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+
+    const [wide, narrow] = block.querySelectorAll('source');
+    const img = block.querySelector('img');
+    expect(getRestoredRequests()).toEqual([[`${asset}/as/image.webp?width=750`, token]]);
+    expect(narrow.getAttribute('srcset')).toBe('blob:1');
+    expect(wide.getAttribute('srcset')).toBe(`${asset}/as/image.webp?width=2000`);
+    expect(img.getAttribute('src')).toBe(`${asset}/as/image.jpg?width=750`);
+    expect(narrow.getAttribute('data-original-src')).toBe(`${asset}/as/image.webp?width=750`);
+  });
+
+  it('should restore the image when the browser picks its own rendition', async () => {
+    pickedRendition = 'data:,rendition-2';
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+
+    const img = block.querySelector('img');
+    expect(getRestoredRequests()).toEqual([[`${asset}/as/image.jpg?width=750`, token]]);
+    expect(img.getAttribute('src')).toBe('blob:1');
+    expect(img.hasAttribute('srcset')).toBe(false);
+    block.querySelectorAll('source').forEach((source) => {
+      expect(source.getAttribute('srcset')).toBe(source.getAttribute('data-original-src'));
+    });
+  });
+
+  it('should retry once with a fresh token when the token is rejected', async () => {
+    const getDeliveryToken = jest.fn(() => freshToken);
+    window.hlx = { aemassets: { getDeliveryToken } };
+    statuses[token] = 401;
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+
+    expect(getDeliveryToken).toHaveBeenCalledWith({ refresh: true });
+    expect(getRestoredRequests()).toEqual([
+      [`${asset}/as/image.webp?width=750`, token],
+      [`${asset}/as/image.webp?width=750`, freshToken],
+    ]);
+    expect(block.querySelectorAll('source')[1].getAttribute('srcset')).toBe('blob:1');
+  });
+
+  it('should lock the image when the fresh token is rejected as well', async () => {
+    window.hlx = { aemassets: { getDeliveryToken: () => freshToken } };
+    statuses = { [token]: 401, [freshToken]: 403 };
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+
+    expect(getRestoredRequests()).toHaveLength(2);
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+    expect(block.querySelector('picture').parentElement.classList)
+      .toContain('secure-assets-locked');
+  });
+
+  it('should restore the image again on a breakpoint change', async () => {
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+    expect(mediaQueryLists.map(({ media }) => media)).toEqual(['(min-width: 600px)']);
+
+    pickedRendition = 'data:,rendition-0';
+    mediaQueryLists[0].listeners.forEach((listener) => listener());
+    await pickRendition();
+
+    const [wide, narrow] = block.querySelectorAll('source');
+    expect(getRestoredRequests()[1]).toEqual([`${asset}/as/image.webp?width=2000`, token]);
+    expect(wide.getAttribute('srcset')).toBe('blob:2');
+    expect(narrow.getAttribute('srcset')).toBe(`${asset}/as/image.webp?width=750`);
+    // the object URL of the replaced rendition
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:1');
+    expect(URL.revokeObjectURL).not.toHaveBeenCalledWith('blob:2');
+  });
+
+  it('should not fetch the same rendition again on a breakpoint change', async () => {
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+
+    mediaQueryLists[0].listeners.forEach((listener) => listener());
+    await pickRendition();
+    expect(getRestoredRequests()).toHaveLength(1);
+  });
+
+  it('should revoke the object URL and stop following the breakpoints on revocation', async () => {
+    const block = createBlock();
+    decorate(block);
+    await pickRendition();
+
+    document.dispatchEvent(new CustomEvent('auth-token-revoked'));
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:1');
+    expect(mediaQueryLists[0].listeners.size).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+/* eslint-env jest */
+import { parseOptionRow, extractOptions } from '../../../blocks/video/video-options.js';
+
+const createRow = (...cells) => {
+  const row = document.createElement('div');
+  row.innerHTML = cells.map((cell) => `<div>${cell}</div>`).join('');
+  return row;
+};
+
+describe('parseOptionRow', () => {
+  it('should parse the known options', () => {
+    expect(parseOptionRow(createRow('Playback Rate', '1.5x'))).toEqual({ name: 'playbackRate', value: 1.5 });
+    expect(parseOptionRow(createRow('Start', '1:30'))).toEqual({ name: 'start', value: 90 });
+    expect(parseOptionRow(createRow('end', '1:01:30s'))).toEqual({ name: 'end', value: 3690 });
+    expect(parseOptionRow(createRow('Loop', 'No'))).toEqual({ name: 'loop', value: false });
+    expect(parseOptionRow(createRow('Aspect Ratio', '4 / 3'))).toEqual({ name: 'aspectRatio', value: '4:3' });
+    expect(parseOptionRow(createRow('Max Players', '2'))).toEqual({ name: 'maxPlayers', value: 2 });
+  });
+
+  it('should leave invalid values undefined', () => {
+    expect(parseOptionRow(createRow('Preload', 'sometimes'))).toEqual({ name: 'preload', value: undefined });
+    expect(parseOptionRow(createRow('Max Players', '1.5'))).toEqual({ name: 'maxPlayers', value: undefined });
+  });
+
+  it('should not take content rows for options', () => {
+    expect(parseOptionRow(createRow('Autoplay', 'true'))).toBeNull();
+    expect(parseOptionRow(createRow('<a href="https://example.com/loop">Loop</a>', 'true'))).toBeNull();
+    expect(parseOptionRow(createRow('Loop', 'true', 'extra'))).toBeNull();
+  });
+
+  it('should create a poster from an image URL', () => {
+    const { value } = parseOptionRow(createRow('Poster', 'https://example.com/poster.jpg'));
+    expect(value.tagName).toBe('PICTURE');
+    expect(value.querySelector('img').getAttribute('src')).toBe('https://example.com/poster.jpg');
+  });
+});
+
+describe('extractOptions', () => {
+  it('should split the block options from the options of each content row', () => {
+    const block = document.createElement('div');
+    const first = createRow('<a href="https://example.com/first.mp4">first</a>');
+    const second = createRow('<a href="https://example.com/second.mp4">second</a>');
+    block.append(
+      createRow('Loop', 'false'),
+      first,
+      createRow('Start', '10'),
+      createRow('Preload', 'invalid'),
+      second,
+      createRow('Muted', 'yes'),
+    );
+
+    const { options, cards } = extractOptions(block);
+    expect(options).toEqual({ loop: false });
+    expect([...cards.keys()]).toEqual([first, second]);
+    expect(cards.get(first)).toEqual({ start: 10 });
+    expect(cards.get(second)).toEqual({ muted: true });
+    // the configuration rows are removed
+    expect([...block.children]).toEqual([first, second]);
+  });
+});
@@ -0,0 +1,71 @@
+/* eslint-env jest */
+import { resolveVideoSource, getEmbedUrl } from '../../../blocks/video/video-sources.js';
+
+const DM_VIDEO = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/play';
+
+describe('resolveVideoSource', () => {
+  it('should detect YouTube and Vimeo embeds', () => {
+    ['https://www.youtube.com/watch?v=abc123', 'https://youtu.be/abc123', 'https://youtube.com/shorts/abc123']
+      .forEach((href) => {
+        expect(resolveVideoSource(href, 'native')).toMatchObject({
+          provider: 'youtube', native: false, embed: true,
+        });
+      });
+    expect(resolveVideoSource('https://vimeo.com/76979871', 'videojs')).toMatchObject({
+      provider: 'vimeo', videoUrl: 'https://vimeo.com/76979871', embed: true,
+    });
+  });
+
+  it('should play DM OpenAPI videos from their streaming manifest', () => {
+    expect(resolveVideoSource(DM_VIDEO, 'native')).toEqual({
+      provider: 'dm-openapi',
+      videoUrl: DM_VIDEO.replace('play', 'manifest.mpd'),
+      // DASH requires video.js
+      native: false,
+      embed: false,
+    });
+  });
+
+  it('should detect Scene7, streams and files', () => {
+    expect(resolveVideoSource('https://s7ap1.scene7.com/is/content/varuncloudready/teaser', 'native'))
+      .toMatchObject({ provider: 'scene7', native: true });
+    expect(resolveVideoSource('https://example.com/streams/teaser.m3u8', 'videojs'))
+      .toMatchObject({ provider: 'stream', native: false });
+    expect(resolveVideoSource('https://example.com/teaser.mp4', 'native'))
+      .toMatchObject({ provider: 'file', native: true });
+    expect(resolveVideoSource('https://example.com/teaser.mp4', 'videojs'))
+      .toMatchObject({ provider: 'file', native: false });
+  });
+
+  it('should play other links as DM videos', () => {
+    expect(resolveVideoSource('https://example.com/video/play', 'videojs')).toMatchObject({
+      provider: 'dm', videoUrl: 'https://example.com/video/manifest.mpd',
+    });
+  });
+});
+
+describe('getEmbedUrl', () => {
+  it('should build privacy-enhanced YouTube embed URLs', () => {
+    const url = new URL(getEmbedUrl('youtube', 'https://www.youtube.com/watch?v=abc123', {
+      autoplay: true, muted: true, loop: true, controls: false, start: 10.4, end: 20.2,
+    }));
+    expect(url.origin).toBe('https://www.youtube-nocookie.com');
+    expect(url.pathname).toBe('/embed/abc123');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      rel: '0',
+      playsinline: '1',
+      autoplay: '1',
+      mute: '1',
+      loop: '1',
+      playlist: 'abc123',
+      controls: '0',
+      start: '10',
+      end: '21',
+    });
+  });
+
+  it('should build Vimeo embed URLs without tracking', () => {
+    expect(getEmbedUrl('vimeo', 'https://vimeo.com/76979871/abcdef12', { start: 30 }))
+      .toBe('https://player.vimeo.com/video/76979871?h=abcdef12&dnt=1#t=30s');
+  });
+});
@@ -0,0 +1,68 @@
+/* eslint-env jest */
+import {
+  parseTextTrack,
+  extractTextTracks,
+  selectDefaultTrack,
+} from '../../../blocks/video/video-tracks.js';
+
+const createLink = (href, text = href) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.textContent = text;
+  return link;
+};
+
+describe('parseTextTrack', () => {
+  it('should take the language and label from the link text', () => {
+    expect(parseTextTrack(createLink('https://example.com/captions.vtt', 'English (en-GB)'))).toEqual({
+      kind: 'captions', src: 'https://example.com/captions.vtt', srclang: 'en-GB', label: 'English',
+    });
+  });
+
+  it('should take the language and kind from the file name', () => {
+    expect(parseTextTrack(createLink('https://example.com/subtitles_de-DE.vtt'))).toMatchObject({
+      kind: 'subtitles', srclang: 'de-DE',
+    });
+    expect(parseTextTrack(createLink('https://example.com/captions.fr.vtt'))).toMatchObject({
+      kind: 'captions', srclang: 'fr',
+    });
+  });
+});
+
+describe('extractTextTracks', () => {
+  it('should remove the WebVTT links and the paragraphs left empty', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<p><a href="https://example.com/video.mp4">video</a></p>'
+      + '<p><a href="https://example.com/captions.en.vtt">https://example.com/captions.en.vtt</a></p>';
+    const tracks = extractTextTracks(container);
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0].srclang).toBe('en');
+    expect(container.innerHTML).toBe('<p><a href="https://example.com/video.mp4">video</a></p>');
+  });
+});
+
+describe('selectDefaultTrack', () => {
+  const tracks = [{ srclang: 'en' }, { srclang: 'fr-CA' }];
+
+  afterEach(() => {
+    localStorage.clear();
+    document.documentElement.lang = '';
+  });
+
+  it('should show the track of the page language', () => {
+    document.documentElement.lang = 'fr';
+    expect(selectDefaultTrack(tracks).map((track) => track.default)).toEqual([false, true]);
+  });
+
+  it('should prefer the language the viewer picked', () => {
+    document.documentElement.lang = 'fr';
+    localStorage.setItem('aem-assets-video-captions', 'en');
+    expect(selectDefaultTrack(tracks).map((track) => track.default)).toEqual([true, false]);
+  });
+
+  it('should show no track if the viewer turned them off', () => {
+    document.documentElement.lang = 'fr';
+    localStorage.setItem('aem-assets-video-captions', 'off');
+    expect(selectDefaultTrack(tracks)).toBe(tracks);
+  });
+});
@@ -0,0 +1,560 @@
+/* eslint-env jest */
+import decorate from '../../../blocks/video/video.js';
+import {
+  createOptimizedPictureForDMOpenAPI,
+  registerAssetHandler,
+  unregisterAssetHandler,
+} from '../../../scripts/aem-assets.js';
+
+// the helpers of aem.js, imported by the block from the code base path
+jest.mock('/scripts/aem.js', () => ({
+  __esModule: true,
+  decorateIcons: jest.fn(),
+  loadScript: jest.fn(() => Promise.resolve()),
+  loadCSS: jest.fn(() => Promise.resolve()),
+  toClassName: (name) => name.toLowerCase().replace(/[^0-9a-z]+/g, '-').replace(/^-|-$/g, ''),
+}), { virtual: true });
+
+const VIDEO_SRC = 'https://example.com/media/teaser.mp4';
+
+const createBlock = (classes, html) => {
+  const block = document.createElement('div');
+  block.className = `video block ${classes}`;
+  block.innerHTML = html;
+  document.querySelector('main').append(block);
+  return block;
+};
+
+const createHeroBlock = (classes = '', links = '') => createBlock(`hero ${classes}`, `
+  <div>
+    <div><p><a href="${VIDEO_SRC}">${VIDEO_SRC}</a></p>${links}</div>
+    <div><h2>Teaser</h2><p>The teaser</p></div>
+  </div>`);
+
+const setMediaProperty = (video, name, value) => {
+  Object.defineProperty(video, name, { value, configurable: true, writable: true });
+};
+
+beforeEach(() => {
+  window.hlx = { codeBasePath: '', aemassets: {} };
+  document.body.innerHTML = '<main></main>';
+});
+
+afterEach(() => {
+  delete window.hlx;
+  delete window.adobeDataLayer;
+});
+
+describe('analytics', () => {
+  const EVENTS = ['video-load', 'video-play', 'video-pause', 'video-seek', 'video-progress',
+    'video-complete', 'video-error'];
+  let events;
+  let video;
+
+  const dispatch = (type) => video.dispatchEvent(new Event(type));
+  const timeUpdate = (time) => {
+    video.currentTime = time;
+    dispatch('timeupdate');
+  };
+
+  beforeEach(async () => {
+    events = [];
+    const block = createHeroBlock();
+    EVENTS.forEach((name) => {
+      block.addEventListener(name, (event) => events.push(event));
+    });
+    await decorate(block);
+    video = block.querySelector('video');
+    setMediaProperty(video, 'duration', 100);
+  });
+
+  it('should dispatch the playback events from the block with the playback details', () => {
+    dispatch('loadedmetadata');
+    dispatch('loadedmetadata');
+    video.currentTime = 10;
+    dispatch('play');
+    dispatch('seeked');
+    dispatch('pause');
+
+    expect(events.map(({ type }) => type))
+      .toEqual(['video-load', 'video-play', 'video-seek', 'video-pause']);
+    expect(events[0].bubbles).toBe(true);
+    expect(events[0].detail).toEqual({
+      assetUrl: VIDEO_SRC, blockType: 'hero', position: 0, duration: 100,
+    });
+    expect(events[3].detail.position).toBe(10);
+  });
+
+  it('should dispatch each progress milestone once per playback', () => {
+    timeUpdate(30);
+    timeUpdate(40);
+    timeUpdate(80);
+    setMediaProperty(video, 'ended', true);
+    // ending pauses the video as well
+    dispatch('pause');
+    dispatch('ended');
+    setMediaProperty(video, 'ended', false);
+    timeUpdate(30);
+
+    expect(events.map(({ type, detail }) => [type, detail.milestone])).toEqual([
+      ['video-progress', 25],
+      ['video-progress', 50],
+      ['video-progress', 75],
+      ['video-complete', undefined],
+      ['video-progress', 25],
+    ]);
+  });
+
+  it('should not report an unknown duration or progress', () => {
+    setMediaProperty(video, 'duration', Infinity);
+    setMediaProperty(video, 'error', { message: 'MEDIA_ERR_DECODE' });
+    timeUpdate(30);
+    dispatch('error');
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe('video-error');
+    expect(events[0].detail).toEqual({
+      assetUrl: VIDEO_SRC, blockType: 'hero', position: 30, duration: null, error: 'MEDIA_ERR_DECODE',
+    });
+  });
+
+  it('should push the events to the data layer if enabled', () => {
+    dispatch('play');
+    window.hlx.aemassets.videoDataLayer = true;
+    dispatch('play');
+
+    expect(window.adobeDataLayer).toEqual([{ event: 'video-play', video: events[1].detail }]);
+  });
+});
+
+describe('native playback', () => {
+  beforeEach(() => {
+    window.IntersectionObserver = jest.fn(() => ({ observe: jest.fn(), disconnect: jest.fn() }));
+    // video.js is loaded in the delayed phase, which does not come
+    window.DELAYED_PHASE = false;
+    // the text track list of jsdom is no event target
+    jest.spyOn(window.HTMLMediaElement.prototype, 'textTracks', 'get')
+      .mockImplementation(() => Object.assign(new EventTarget(), { length: 0 }));
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+    delete window.DELAYED_PHASE;
+    jest.restoreAllMocks();
+  });
+
+  it('should play hero videos in a native player', async () => {
+    const block = createHeroBlock('autoplay');
+    await decorate(block);
+
+    const video = block.querySelector('video');
+    expect(video.classList.contains('video-native')).toBe(true);
+    expect(video.getAttribute('src')).toBe(VIDEO_SRC);
+    // autoplaying videos loop muted inline
+    expect(video.autoplay).toBe(true);
+    expect(video.loop).toBe(true);
+    expect(video.hasAttribute('muted')).toBe(true);
+    expect(video.muted).toBe(true);
+    expect(video.hasAttribute('playsinline')).toBe(true);
+    expect(video.preload).toBe('auto');
+    expect(video.controls).toBe(false);
+  });
+
+  it('should set the authored options and text tracks', async () => {
+    const block = createHeroBlock('', '<p><a href="https://cdn.example.com/captions.de.vtt">Deutsch (de)</a></p>');
+    block.insertAdjacentHTML('afterbegin', '<div><div>Controls</div><div>yes</div></div><div><div>Preload</div><div>none</div></div>');
+    await decorate(block);
+
+    const video = block.querySelector('video.video-native');
+    expect(video.controls).toBe(true);
+    expect(video.preload).toBe('none');
+    // the captions are on another origin
+    expect(video.getAttribute('crossorigin')).toBe('anonymous');
+    const track = video.querySelector('track');
+    expect(track).toMatchObject({
+      kind: 'captions', src: 'https://cdn.example.com/captions.de.vtt', srclang: 'de', label: 'Deutsch',
+    });
+  });
+
+  it('should play streams natively only if the browser supports them', async () => {
+    const canPlayType = jest.spyOn(window.HTMLMediaElement.prototype, 'canPlayType');
+    const html = (src) => `<div><div><a href="${src}">${src}</a></div><div><h2>Stream</h2></div></div>`;
+
+    canPlayType.mockReturnValue('maybe');
+    const hls = createBlock('hero', html('https://example.com/media/teaser.m3u8'));
+    await decorate(hls);
+    expect(hls.querySelector('video.video-native')).not.toBeNull();
+
+    canPlayType.mockReturnValue('');
+    const unsupported = createBlock('hero', html('https://example.com/media/teaser.m3u8'));
+    const dash = createBlock('hero', html('https://example.com/media/teaser.mpd'));
+    await decorate(unsupported);
+    await decorate(dash);
+    // they wait for video.js
+    expect(unsupported.querySelector('video')).toBeNull();
+    expect(dash.querySelector('video')).toBeNull();
+  });
+
+  it('should play with video.js when the block asks for it', async () => {
+    const block = createHeroBlock('videojs');
+    await decorate(block);
+    expect(block.querySelector('video')).toBeNull();
+  });
+});
+
+describe('modal', () => {
+  const nextTask = () => new Promise((resolve) => { setTimeout(resolve); });
+  const getDialog = () => document.querySelector('.video-modal-dialog');
+  const pressKey = (target, key, options = {}) => {
+    const event = new KeyboardEvent('keydown', {
+      key, bubbles: true, cancelable: true, ...options,
+    });
+    target.dispatchEvent(event);
+    return event;
+  };
+  const createModalBlock = (title) => createBlock('native', `
+    <div><div><p><a href="${VIDEO_SRC}">${title}</a></p></div></div>`);
+
+  beforeAll(() => {
+    // jsdom does not implement modal dialogs, the close event is queued like in browsers
+    window.HTMLDialogElement.prototype.showModal = function showModal() {
+      this.setAttribute('open', '');
+    };
+    window.HTMLDialogElement.prototype.close = function close() {
+      this.removeAttribute('open');
+      setTimeout(() => this.dispatchEvent(new Event('close')));
+    };
+  });
+
+  beforeEach(() => {
+    window.IntersectionObserver = jest.fn(() => ({ observe: jest.fn(), disconnect: jest.fn() }));
+    // jsdom does not lay out elements
+    jest.spyOn(window.Element.prototype, 'getClientRects').mockReturnValue([{}]);
+    // the history is traversed asynchronously, after the end of the tests
+    jest.spyOn(window.history, 'back').mockImplementation(() => {});
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(async () => {
+    getDialog()?.querySelector('.video-modal-close').click();
+    await nextTask();
+    delete window.IntersectionObserver;
+    jest.restoreAllMocks();
+  });
+
+  it('should open the video in a modal with a deep link', async () => {
+    const block = createModalBlock('Product Tour');
+    const opened = jest.fn();
+    block.addEventListener('video-modal-open', opened);
+    await decorate(block);
+    block.querySelector('.video-play-button').click();
+
+    const dialog = getDialog();
+    expect(dialog.open).toBe(true);
+    expect(dialog.querySelector('.video-modal-title').textContent).toBe('Product Tour');
+    expect(dialog.querySelector('.video-container video').getAttribute('src')).toBe(VIDEO_SRC);
+    expect(block.dataset.videoId).toBe('product-tour');
+    expect(window.location.hash).toBe('#video=product-tour');
+    expect(window.history.state).toEqual({ videoModal: 'product-tour' });
+    expect(document.body.style.overflow).toBe('hidden');
+    expect(opened).toHaveBeenCalledTimes(1);
+  });
+
+  it('should close on Escape and return the focus to the play button', async () => {
+    const block = createModalBlock('Escape');
+    const closed = jest.fn();
+    block.addEventListener('video-modal-close', closed);
+    await decorate(block);
+    const playButton = block.querySelector('.video-play-button');
+    playButton.focus();
+    playButton.click();
+
+    const dialog = getDialog();
+    const event = pressKey(dialog.querySelector('.video-modal-close'), 'Escape');
+    expect(event.defaultPrevented).toBe(true);
+    expect(dialog.open).toBe(false);
+    expect(dialog.querySelector('.video-container').innerHTML).toBe('');
+    expect(document.activeElement).toBe(playButton);
+    expect(document.body.style.overflow).toBe('');
+    expect(closed).toHaveBeenCalledTimes(1);
+    // going back removes the deep link
+    expect(window.history.back).toHaveBeenCalled();
+  });
+
+  it('should keep the focus in the modal', async () => {
+    const block = createModalBlock('Focus');
+    await decorate(block);
+    block.querySelector('.video-play-button').click();
+
+    const dialog = getDialog();
+    const closeButton = dialog.querySelector('.video-modal-close');
+    const video = dialog.querySelector('video');
+    video.tabIndex = 0;
+
+    closeButton.focus();
+    expect(pressKey(closeButton, 'Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(video);
+    expect(pressKey(video, 'Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(closeButton);
+    // tabbing between the elements is left to the browser
+    expect(pressKey(closeButton, 'Tab').defaultPrevented).toBe(false);
+  });
+
+  it('should open and close with the history', async () => {
+    window.history.replaceState(null, '', '/#video=history');
+    const block = createModalBlock('History');
+    await decorate(block);
+
+    // the deep link opens the video without a new history entry
+    const dialog = getDialog();
+    expect(dialog.open).toBe(true);
+    expect(window.history.state).toBeNull();
+
+    window.history.pushState(null, '', '/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    expect(dialog.open).toBe(false);
+
+    window.history.pushState(null, '', '/#video=history');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await nextTask();
+    expect(dialog.open).toBe(true);
+  });
+
+  it('should not close a video opened before the close event of the previous one', async () => {
+    const first = createModalBlock('First');
+    const second = createModalBlock('Second');
+    await decorate(first);
+    await decorate(second);
+
+    first.querySelector('.video-play-button').click();
+    second.querySelector('.video-play-button').click();
+    await nextTask();
+
+    const dialog = getDialog();
+    expect(dialog.open).toBe(true);
+    expect(dialog.querySelector('.video-modal-title').textContent).toBe('Second');
+    expect(dialog.querySelector('.video-container video')).not.toBeNull();
+  });
+});
+
+describe('autoplay', () => {
+  let observers;
+  let video;
+
+  const intersect = (isIntersecting) => {
+    observers.forEach(({ callback }) => callback([{ target: video, isIntersecting }]));
+  };
+
+  beforeEach(() => {
+    observers = [];
+    window.IntersectionObserver = jest.fn((callback, options) => {
+      const observer = {
+        callback, options, observe: jest.fn(), disconnect: jest.fn(),
+      };
+      observers.push(observer);
+      return observer;
+    });
+    jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(function play() {
+      setMediaProperty(this, 'paused', false);
+      this.dispatchEvent(new Event('play'));
+      return Promise.resolve();
+    });
+    jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(function pause() {
+      setMediaProperty(this, 'paused', true);
+      this.dispatchEvent(new Event('pause'));
+    });
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+    delete window.matchMedia;
+    delete window.navigator.connection;
+    jest.restoreAllMocks();
+  });
+
+  it('should pause the video out of view and resume it back in view', async () => {
+    const block = createHeroBlock('autoplay');
+    await decorate(block);
+    video = block.querySelector('video');
+
+    intersect(true);
+    expect(video.paused).toBe(false);
+    intersect(false);
+    expect(video.paused).toBe(true);
+    intersect(true);
+    expect(video.paused).toBe(false);
+    expect(video.play).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not resume a video the viewer paused', async () => {
+    const block = createHeroBlock('autoplay');
+    await decorate(block);
+    video = block.querySelector('video');
+
+    intersect(true);
+    // e.g. with the play button
+    video.pause();
+    intersect(false);
+    intersect(true);
+    expect(video.paused).toBe(true);
+    expect(video.play).toHaveBeenCalledTimes(1);
+
+    // until they play it again
+    video.play();
+    intersect(false);
+    intersect(true);
+    expect(video.paused).toBe(false);
+  });
+
+  it('should not autoplay for viewers preferring reduced motion', async () => {
+    window.matchMedia = jest.fn((query) => ({ matches: query === '(prefers-reduced-motion: reduce)' }));
+    const block = createHeroBlock('autoplay');
+    await decorate(block);
+    video = block.querySelector('video');
+
+    expect(video.autoplay).toBe(false);
+    // the video still loops muted once played
+    expect(video.muted).toBe(true);
+    expect(video.loop).toBe(true);
+    expect(block.querySelector('.custom-play-button')).not.toBeNull();
+    expect(observers).toHaveLength(0);
+  });
+
+  it('should not autoplay with the data saver', async () => {
+    Object.defineProperty(window.navigator, 'connection', { value: { saveData: true }, configurable: true });
+    const embed = createBlock('hero autoplay', `<div>
+      <div><a href="https://www.youtube.com/watch?v=abc123">video</a></div><div><h2>Embed</h2></div>
+    </div>`);
+    await decorate(embed);
+
+    // the embed waits for the play button
+    expect(embed.querySelector('iframe')).toBeNull();
+    embed.querySelector('.video-embed-button').click();
+    expect(embed.querySelector('iframe').src).toContain('autoplay=1');
+  });
+});
+
+describe('default posters', () => {
+  const DM_ORIGIN = 'https://delivery-p66302-e574366.adobeaemcloud.com';
+  const DM_VIDEO = `${DM_ORIGIN}/adobe/assets/urn:aaid:aem:5678/play`;
+
+  beforeEach(() => {
+    window.DELAYED_PHASE = false;
+  });
+
+  afterEach(() => {
+    delete window.DELAYED_PHASE;
+    unregisterAssetHandler('dm-openapi-posters');
+  });
+
+  const decorateModal = async () => {
+    const block = createBlock('', `<div><div><a href="${DM_VIDEO}">Product Tour</a></div></div>`);
+    await decorate(block);
+    return block.querySelector('picture img');
+  };
+
+  it('should render the thumbnail of the video asset as a jpg', async () => {
+    const img = await decorateModal();
+    expect(img.getAttribute('src')).toBe(`${DM_ORIGIN}/adobe/assets/urn:aaid:aem:5678/as/product-tour.jpg?width=750`);
+    expect(img.alt).toBe('Product Tour');
+  });
+
+  it('should follow the DM OpenAPI handler of the video origin', async () => {
+    registerAssetHandler({
+      id: 'dm-openapi-posters',
+      match: `${DM_ORIGIN}/`,
+      handler: createOptimizedPictureForDMOpenAPI,
+      options: { posterFormat: 'webp', quality: 70, breakpoints: [{ width: '1200' }] },
+    });
+    const img = await decorateModal();
+    expect(img.getAttribute('src')).toBe(`${DM_ORIGIN}/adobe/assets/urn:aaid:aem:5678/as/product-tour.webp?width=1200&quality=70`);
+  });
+
+  it('should fall back to jpg for unsupported formats', async () => {
+    registerAssetHandler({
+      id: 'dm-openapi-posters',
+      match: `${DM_ORIGIN}/`,
+      handler: createOptimizedPictureForDMOpenAPI,
+      options: { posterFormat: 'tiff' },
+    });
+    const img = await decorateModal();
+    expect(img.getAttribute('src')).toBe(`${DM_ORIGIN}/adobe/assets/urn:aaid:aem:5678/as/product-tour.jpg?width=750`);
+  });
+});
+
+describe('lazy card players', () => {
+  let observers;
+
+  const getObserver = (rootMargin) => observers
+    .find(({ options }) => options.rootMargin === rootMargin);
+  const intersect = (rootMargin, target, isIntersecting) => {
+    getObserver(rootMargin).callback([{ target, isIntersecting }]);
+    // the player is created asynchronously
+    return new Promise((resolve) => { setTimeout(resolve); });
+  };
+  const card = (title) => `<div><div><a href="${VIDEO_SRC}">${title}</a></div><div><h3>${title}</h3></div></div>`;
+
+  beforeEach(() => {
+    observers = [];
+    window.IntersectionObserver = jest.fn((callback, options) => {
+      const observer = {
+        callback, options, observe: jest.fn(), disconnect: jest.fn(),
+      };
+      observers.push(observer);
+      return observer;
+    });
+    jest.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    jest.spyOn(window.HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+    jest.restoreAllMocks();
+  });
+
+  it('should create the players of the cards close to the viewport', async () => {
+    const block = createBlock('inline native', card('First') + card('Second'));
+    await decorate(block);
+    const [first, second] = block.querySelectorAll('article.video-card');
+
+    expect(block.querySelector('video')).toBeNull();
+    expect(getObserver('200px').observe).toHaveBeenCalledWith(first);
+    expect(first.querySelector('.video-card-play-button')).not.toBeNull();
+
+    await intersect('200px', first, true);
+    expect(first.querySelector('video')).not.toBeNull();
+    expect(first.querySelector('.video-card-play-button')).toBeNull();
+    expect(second.querySelector('video')).toBeNull();
+  });
+
+  it('should dispose the players of the cards far from the viewport', async () => {
+    const block = createBlock('inline native', card('First'));
+    await decorate(block);
+    const [first] = block.querySelectorAll('article.video-card');
+
+    await intersect('200px', first, true);
+    const disposed = jest.fn();
+    first.querySelector('video').addEventListener('dispose', disposed);
+    await intersect('1500px', first, false);
+
+    expect(disposed).toHaveBeenCalled();
+    expect(first.querySelector('video')).toBeNull();
+    expect(first.querySelector('.video-card-play-button')).not.toBeNull();
+
+    // and create them again when they are back
+    await intersect('200px', first, true);
+    expect(first.querySelector('video')).not.toBeNull();
+  });
+
+  it('should keep at most the configured number of players', async () => {
+    const maxPlayers = '<div><div>Max Players</div><div>1</div></div>';
+    const block = createBlock('inline native', maxPlayers + card('First') + card('Second'));
+    await decorate(block);
+    const [first, second] = block.querySelectorAll('article.video-card');
+
+    await intersect('200px', first, true);
+    await intersect('200px', second, true);
+    expect(first.querySelector('video')).toBeNull();
+    expect(second.querySelector('video')).not.toBeNull();
+  });
+});
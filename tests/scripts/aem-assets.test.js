@@ -1,5 +1,26 @@
 /* eslint-env jest */
-import { testFunctions } from '../../scripts/aem-assets.js';
+import {
+  testFunctions,
+  createOptimizedPicture,
+  createOptimizedPictureForDM,
+  createOptimizedPictureForDMOpenAPI,
+  createOptimizedPictureWithSmartcrop,
+  describeOptimizedPicture,
+  describeOptimizedPictureWithSmartcrop,
+  describeOptimizedPictureForDM,
+  describeOptimizedPictureForDMOpenAPI,
+  renderPictureHTML,
+  attachPictureBehaviors,
+  decorateExternalImages,
+  observeExternalImages,
+  createVideoPlayerForDMOpenAPI,
+  loadBlock,
+  registerAssetHandler,
+  unregisterAssetHandler,
+} from '../../scripts/aem-assets.js';
+
+// the code of the blocks loaded with loadBlock
+jest.mock('/blocks/cards/cards.js', () => ({ __esModule: true, default: jest.fn() }), { virtual: true });
 
 const { appendQueryParams } = testFunctions;
 // scripts/aem-assets.test.js
@@ -33,3 +54,667 @@ describe('appendQueryParams', () => {
     expect(result).toBe('https://example.com/?existing=param&rotate=90');
   });
 });
+
+describe('supportsSmartCrop', () => {
+  const { supportsSmartCrop } = testFunctions;
+
+  it('should support raster DM OpenAPI assets', () => {
+    expect(supportsSmartCrop('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg')).toBe(true);
+  });
+
+  it('should use the source asset type of DM OpenAPI renditions', () => {
+    expect(supportsSmartCrop('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/logo.avif?assetname=logo.svg')).toBe(false);
+  });
+});
+
+describe('getSrcsetCandidates', () => {
+  const { getSrcsetCandidates } = testFunctions;
+
+  afterEach(() => {
+    delete window.hlx;
+  });
+
+  it('should use the default width ladder up to the breakpoint width', () => {
+    expect(getSrcsetCandidates({ width: '750' }).map(({ descriptor }) => descriptor))
+      .toEqual(['320w', '480w', '640w', '750w']);
+  });
+
+  it('should use the configured width ladder', () => {
+    window.hlx = { aemassets: { responsiveImages: { widths: [400, 800, 1200] } } };
+    expect(getSrcsetCandidates({ width: '1000' }).map(({ width }) => width))
+      .toEqual(['400', '800', '1000']);
+  });
+
+  it('should use density descriptors if configured', () => {
+    expect(getSrcsetCandidates({ width: '750', densities: [1, 2] }))
+      .toEqual([{ width: '750', descriptor: '1x' }, { width: '1500', descriptor: '2x' }]);
+  });
+});
+
+describe('appendQueryParamsToSrcset', () => {
+  const { appendQueryParamsToSrcset } = testFunctions;
+
+  it('should append params to each candidate but keep widths', () => {
+    const srcset = 'https://example.com/a.jpg?width=320 320w, https://example.com/a.jpg?width=750 750w';
+    const params = new URLSearchParams({ rotate: '90', width: '100' });
+    expect(appendQueryParamsToSrcset(srcset, 'https://example.com', params))
+      .toBe('https://example.com/a.jpg?width=320&rotate=90 320w, https://example.com/a.jpg?width=750&rotate=90 750w');
+  });
+
+  it('should handle a single URL', () => {
+    expect(appendQueryParamsToSrcset('https://example.com/a.jpg', 'https://example.com', new URLSearchParams({ rotate: '90' })))
+      .toBe('https://example.com/a.jpg?rotate=90');
+  });
+});
+
+describe('createOptimizedPictureForDMOpenAPI', () => {
+  const src = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/original/as/hero.png';
+
+  it('should render width descriptor srcsets with sizes', () => {
+    const picture = createOptimizedPictureForDMOpenAPI(src, 'Hero', false, false, [
+      { media: '(min-width: 600px)', width: '2000', sizes: '50vw' },
+      { width: '640' },
+    ]);
+    const [source] = picture.querySelectorAll('source');
+    expect(source.getAttribute('sizes')).toBe('50vw');
+    expect(source.getAttribute('srcset').split(', ')).toHaveLength(8);
+    expect(source.getAttribute('srcset')).toContain('/as/hero.avif?assetname=hero.png&width=2000 2000w');
+
+    const img = picture.querySelector('img');
+    expect(img.getAttribute('src')).toBe('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.png&width=640');
+    expect(img.getAttribute('sizes')).toBe('100vw');
+    expect(img.getAttribute('srcset').split(', ')).toHaveLength(3);
+  });
+});
+
+describe('smartcrop fallback', () => {
+  const src = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg';
+
+  beforeEach(() => {
+    window.hlx = {
+      aemassets: {
+        smartCrops: {
+          Small: { minWidth: 0, maxWidth: 767 },
+          Large: { minWidth: 768, maxWidth: 9999 },
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete window.hlx;
+  });
+
+  it('should mark the picture as loaded when the smartcrop rendition loads', () => {
+    const picture = createOptimizedPictureForDMOpenAPI(src, '', true);
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('loading');
+    picture.querySelector('img').dispatchEvent(new Event('load'));
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('loaded');
+  });
+
+  it('should fall back to the uncropped rendition of the failed source only', () => {
+    const picture = createOptimizedPictureForDMOpenAPI(src, '', true);
+    const img = picture.querySelector('img');
+    const [small, large] = picture.querySelectorAll('source');
+    const failedSrc = small.getAttribute('srcset').split(', ').pop().split(' ')[0];
+    Object.defineProperty(img, 'currentSrc', { value: failedSrc });
+
+    img.dispatchEvent(new Event('error'));
+
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('fallback');
+    expect(small.getAttribute('data-smartcrop-status')).toBe('fallback');
+    expect(small.getAttribute('srcset')).not.toContain('smartcrop=');
+    expect(large.getAttribute('srcset')).toContain('smartcrop=Large');
+  });
+
+  it('should report an error if the uncropped rendition fails too', () => {
+    const picture = createOptimizedPictureForDMOpenAPI(src, '', true);
+    const img = picture.querySelector('img');
+    img.dispatchEvent(new Event('error'));
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('fallback');
+    img.dispatchEvent(new Event('error'));
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('error');
+  });
+});
+
+describe('decorateExternalImages', () => {
+  afterEach(() => {
+    unregisterAssetHandler('dm-openapi');
+    delete window.hlx;
+    document.body.innerHTML = '';
+  });
+
+  it('should render registered handlers with their options', () => {
+    window.hlx = { aemassets: {} };
+    registerAssetHandler({
+      id: 'dm-openapi',
+      match: { hostname: 'delivery-*.adobeaemcloud.com' },
+      handler: createOptimizedPictureForDMOpenAPI,
+      options: { quality: 80, breakpoints: [{ width: '640' }] },
+    });
+    document.body.innerHTML = '<main><p><a href="https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg">hero</a></p></main>';
+    decorateExternalImages(document.querySelector('main'));
+
+    const img = document.querySelector('main picture img');
+    expect(img.getAttribute('src')).toBe('https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg&width=640&quality=80');
+  });
+});
+
+describe('LCP candidate decoration', () => {
+  const link = (name) => `<a href="https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/${name}.avif?assetname=${name}.jpg">${name}</a>`;
+
+  beforeEach(() => {
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [['https://delivery-p66302-e574366.adobeaemcloud.com/', createOptimizedPictureForDMOpenAPI]],
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete window.hlx;
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  it('should load the first image of the first section eagerly and preload it', () => {
+    document.body.innerHTML = `<main><div><p>${link('hero')}</p><p>${link('second')}</p></div><div><p>${link('third')}</p></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+
+    const [hero, second, third] = document.querySelectorAll('main picture');
+    expect(hero.getAttribute('data-lcp')).toBe('true');
+    expect(hero.querySelector('img').getAttribute('loading')).toBe('eager');
+    expect(hero.querySelector('img').getAttribute('fetchpriority')).toBe('high');
+    expect(second.querySelector('img').getAttribute('loading')).toBe('lazy');
+    expect(third.hasAttribute('data-lcp')).toBe(false);
+
+    const preloads = document.head.querySelectorAll('link[rel="preload"][as="image"]');
+    expect(preloads).toHaveLength(2);
+    expect(preloads[0].getAttribute('media')).toBe('(min-width: 600px)');
+    expect(preloads[0].getAttribute('type')).toBe('image/avif');
+    expect(preloads[0].getAttribute('imagesrcset')).toBe(hero.querySelector('source').getAttribute('srcset'));
+    expect(preloads[0].getAttribute('imagesizes')).toBe('100vw');
+    expect(preloads[1].getAttribute('media')).toBe('(not ((min-width: 600px)))');
+  });
+
+  it('should prefer the image marked by the author', () => {
+    document.body.innerHTML = `<main><div><p>${link('hero')}</p></div><div><div class="cards lcp">${link('marked')}</div></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+
+    const [hero, marked] = document.querySelectorAll('main picture');
+    expect(hero.hasAttribute('data-lcp')).toBe(false);
+    expect(marked.getAttribute('data-lcp')).toBe('true');
+  });
+
+  it('should pick only one LCP candidate per page', () => {
+    document.body.innerHTML = `<main><div><p>${link('hero')}</p><div class="block">${link('second')}</div></div></main>`;
+    decorateExternalImages(document.querySelector('main p'));
+    decorateExternalImages(document.querySelector('main .block'));
+    expect(document.querySelectorAll('picture[data-lcp]')).toHaveLength(1);
+  });
+
+  it('should not pick an LCP candidate in lazily loaded blocks', () => {
+    window.hlx.codeBasePath = '';
+    document.body.innerHTML = '<main><div><p>text</p></div></main>';
+    decorateExternalImages(document.querySelector('main'));
+
+    // e.g. a block of a fragment, its content was not decorated with main
+    const block = document.createElement('div');
+    block.classList.add('cards', 'block');
+    block.dataset.blockName = 'cards';
+    block.innerHTML = link('card');
+    document.querySelector('main > div').append(block);
+    // the images are decorated before the block code is loaded, which is not awaited
+    loadBlock(block);
+
+    expect(document.querySelector('main .cards picture')).not.toBeNull();
+    expect(document.querySelectorAll('picture[data-lcp]')).toHaveLength(0);
+    expect(document.head.querySelector('link[rel="preload"]')).toBeNull();
+  });
+});
+
+describe('createOptimizedPictureForDM', () => {
+  const src = 'https://s7ap1.scene7.com/is/image/varuncloudready/hero?$Hero$';
+
+  afterEach(() => {
+    delete window.hlx;
+  });
+
+  it('should render type specific sources with the rendering options', () => {
+    const picture = createOptimizedPictureForDM(src, 'Hero', false, [{ width: '750' }], {
+      formats: ['avif', 'webp'],
+      quality: 80,
+      resMode: 'sharp2',
+    });
+    const sources = picture.querySelectorAll('source');
+    expect([...sources].map((source) => source.getAttribute('type'))).toEqual(['image/avif', 'image/webp']);
+    expect(sources[0].getAttribute('srcset')).toContain('/hero?$Hero$&wid=750&fmt=avif&qlt=80&resMode=sharp2 750w');
+    expect(picture.querySelector('img').getAttribute('src'))
+      .toBe('https://s7ap1.scene7.com/is/image/varuncloudready/hero?$Hero$&wid=750&qlt=80&resMode=sharp2');
+  });
+
+  it('should render smart crop variants from the smartCrops config', () => {
+    window.hlx = { aemassets: { smartCrops: { Small: { minWidth: 0, maxWidth: 767 } } } };
+    const picture = createOptimizedPictureForDM(src, '', false, undefined, { useSmartcrop: true });
+    const source = picture.querySelector('source');
+    expect(source.getAttribute('media')).toBe('(min-width: 0px) and (max-width: 767px)');
+    expect(source.getAttribute('srcset')).toContain('/hero:Small?$Hero$&wid=767&fmt=jpeg 767w');
+    expect(picture.classList.contains('smartcrop')).toBe(true);
+  });
+});
+
+describe('intrinsic dimensions', () => {
+  const src = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg';
+
+  afterEach(() => {
+    delete window.hlx;
+    document.body.innerHTML = '';
+  });
+
+  it('should set the img dimensions from the asset dimensions', () => {
+    const picture = createOptimizedPictureForDMOpenAPI(src, '', false, false, undefined, {
+      dimensions: { width: 4000, height: 3000 },
+    });
+    const img = picture.querySelector('img');
+    expect(img.getAttribute('width')).toBe('750');
+    expect(img.getAttribute('height')).toBe('563');
+    expect(picture.querySelector('source').hasAttribute('width')).toBe(false);
+  });
+
+  it('should set the img dimensions from the URL params', () => {
+    const picture = createOptimizedPicture('https://example.com/hero.jpg?width=1600&height=900');
+    const img = picture.querySelector('img');
+    expect(img.getAttribute('width')).toBe('750');
+    expect(img.getAttribute('height')).toBe('422');
+  });
+
+  it('should set the source dimensions from the smartcrop preset ratio', () => {
+    window.hlx = {
+      aemassets: {
+        smartCrops: {
+          Small: { minWidth: 0, maxWidth: 767, aspectRatio: '1:1' },
+          Large: { minWidth: 768, maxWidth: 9999 },
+        },
+      },
+    };
+    const picture = createOptimizedPictureForDMOpenAPI(src, '', true);
+    const [small, large] = picture.querySelectorAll('source');
+    expect(small.getAttribute('width')).toBe('767');
+    expect(small.getAttribute('height')).toBe('767');
+    expect(large.hasAttribute('width')).toBe(false);
+
+    // the uncropped fallback takes the img dimensions
+    picture.querySelector('img').dispatchEvent(new Event('error'));
+    expect(small.hasAttribute('width')).toBe(false);
+  });
+
+  it('should pass the dimensions from the asset picker alt', () => {
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [['https://delivery-p66302-e574366.adobeaemcloud.com/', createOptimizedPictureForDMOpenAPI]],
+      },
+    };
+    const alt = encodeURIComponent(JSON.stringify({
+      deliveryUrl: src, altText: 'Hero', width: 1200, height: 600,
+    }));
+    document.body.innerHTML = `<main><div><picture><img src="/media_1.jpg" alt="${alt}"></picture></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+    const img = document.querySelector('main picture img');
+    expect(img.getAttribute('alt')).toBe('Hero');
+    expect(img.getAttribute('height')).toBe('375');
+  });
+
+  describe('probing', () => {
+    const OriginalImage = window.Image;
+    let probes;
+    let observers;
+
+    beforeEach(() => {
+      window.hlx = { aemassets: { probeDimensions: true } };
+      probes = [];
+      observers = [];
+      window.Image = jest.fn(() => {
+        const probe = {};
+        probes.push(probe);
+        return probe;
+      });
+      window.IntersectionObserver = jest.fn((callback) => {
+        const observer = { callback, observe: jest.fn(), disconnect: jest.fn() };
+        observers.push(observer);
+        return observer;
+      });
+    });
+
+    afterEach(() => {
+      window.Image = OriginalImage;
+      delete window.IntersectionObserver;
+    });
+
+    it('should probe the smallest rendition of the img only', () => {
+      const picture = createOptimizedPictureForDMOpenAPI(src, '', false, true);
+      expect(probes).toHaveLength(1);
+      expect(probes[0].src).toBe(`${src}&width=320`);
+
+      Object.assign(probes[0], { naturalWidth: 320, naturalHeight: 240 });
+      probes[0].onload();
+      const img = picture.querySelector('img');
+      expect(img.getAttribute('width')).toBe('750');
+      expect(img.getAttribute('height')).toBe('563');
+      expect(picture.querySelector('source').getAttribute('height')).toBe('1500');
+    });
+
+    it('should probe lazy images when they get close to the viewport', () => {
+      createOptimizedPictureForDMOpenAPI(src);
+      expect(probes).toHaveLength(0);
+      observers[0].callback([{ isIntersecting: true }]);
+      expect(probes).toHaveLength(1);
+    });
+  });
+
+  it('should keep the secure hint from the asset picker alt', () => {
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [['https://delivery-p66302-e574366.adobeaemcloud.com/', createOptimizedPictureForDMOpenAPI]],
+      },
+    };
+    const alt = encodeURIComponent(JSON.stringify({ deliveryUrl: src, altText: 'Hero', secure: false }));
+    document.body.innerHTML = `<main><div><picture><img src="/media_1.jpg" alt="${alt}"></picture></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+    expect(document.querySelector('main img').closest('[data-secure]').dataset.secure).toBe('false');
+  });
+});
+
+describe('low quality image placeholders', () => {
+  const DM_SRC = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg';
+  const S7_SRC = 'https://s7ap1.scene7.com/is/image/varuncloudready/hero?$Hero$';
+
+  afterEach(() => {
+    delete window.hlx;
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  it('should show a tiny DM OpenAPI rendition until the image loads', () => {
+    const picture = createOptimizedPictureForDMOpenAPI(DM_SRC, '', false, false, undefined, { lqip: true });
+    expect(picture.classList.contains('lqip')).toBe(true);
+    expect(picture.style.getPropertyValue('--lqip-image'))
+      .toBe('url("https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.jpg?assetname=hero.jpg&width=32&quality=20")');
+    expect(picture.getAttribute('data-lqip-status')).toBe('loading');
+
+    picture.querySelector('img').dispatchEvent(new Event('load'));
+    expect(picture.getAttribute('data-lqip-status')).toBe('loaded');
+  });
+
+  it('should use the configured size and quality for Scene7', () => {
+    window.hlx = { aemassets: { lqip: { width: 16 } } };
+    const picture = createOptimizedPictureForDM(S7_SRC, '', false, undefined, { lqip: { quality: 10 } });
+    expect(picture.style.getPropertyValue('--lqip-image'))
+      .toBe('url("https://s7ap1.scene7.com/is/image/varuncloudready/hero?$Hero$&wid=16&fmt=jpeg&qlt=10")');
+  });
+
+  it('should only render placeholders where enabled', () => {
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [['https://delivery-p66302-e574366.adobeaemcloud.com/', createOptimizedPictureForDMOpenAPI]],
+      },
+    };
+    document.body.innerHTML = `<main>
+      <div><p><a href="${DM_SRC}">first</a></p></div>
+      <div><div class="cards lqip"><p><a href="${DM_SRC}">block</a></p></div></div>
+      <div><p><a href="${DM_SRC}">section</a></p><div class="section-metadata"><div><div>Style</div><div>lqip</div></div></div></div>
+    </main>`;
+    decorateExternalImages(document.querySelector('main'));
+
+    const pictures = [...document.querySelectorAll('main picture')];
+    expect(pictures.map((picture) => picture.classList.contains('lqip'))).toEqual([false, true, true]);
+    expect(document.head.querySelector('link[rel="stylesheet"]').getAttribute('href')).toBe('/styles/aem-assets.css');
+  });
+
+  it('should render placeholders everywhere when enabled for the site', () => {
+    window.hlx = {
+      aemassets: {
+        lqip: true,
+        externalImageUrlPrefixes: [['https://s7ap1.scene7.com/', createOptimizedPictureForDM]],
+      },
+    };
+    document.body.innerHTML = `<main><div><p><a href="${S7_SRC}">hero</a></p></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+    expect(document.querySelector('main picture').classList.contains('lqip')).toBe(true);
+  });
+});
+
+describe('observeExternalImages', () => {
+  const DM_SRC = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg';
+  let disconnect;
+
+  // mutation observer callbacks run as microtasks
+  const flush = () => new Promise((resolve) => { setTimeout(resolve); });
+
+  beforeEach(() => {
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [['https://delivery-p66302-e574366.adobeaemcloud.com/', createOptimizedPictureForDMOpenAPI]],
+      },
+    };
+    document.body.innerHTML = '<main><div></div></main>';
+    disconnect = observeExternalImages();
+  });
+
+  afterEach(() => {
+    disconnect();
+    delete window.hlx;
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  it('should decorate the external images of inserted content', async () => {
+    const fragment = document.createElement('div');
+    fragment.innerHTML = `<p><a href="${DM_SRC}">hero</a></p>`;
+    document.querySelector('main > div').append(fragment);
+    await flush();
+
+    const picture = fragment.querySelector('picture');
+    expect(picture.getAttribute('data-aem-assets')).toBe('decorated');
+    // inserted images are not LCP candidates
+    expect(picture.hasAttribute('data-lcp')).toBe(false);
+    expect(fragment.querySelector('a')).toBeNull();
+  });
+
+  it('should decorate an inserted link', async () => {
+    const link = document.createElement('a');
+    link.href = DM_SRC;
+    document.querySelector('main > div').append(link);
+    await flush();
+    expect(document.querySelectorAll('main picture')).toHaveLength(1);
+  });
+
+  it('should not decorate the created elements again', async () => {
+    // a custom handler rendering a standalone img with the asset URL
+    window.hlx.aemassets.externalImageUrlPrefixes = [['https://delivery-', (src) => {
+      const wrapper = document.createElement('div');
+      wrapper.innerHTML = `<img src="${src}">`;
+      return wrapper;
+    }]];
+    const container = document.querySelector('main > div');
+    container.innerHTML = `<p><a href="${DM_SRC}">hero</a></p>`;
+    decorateExternalImages(container);
+    const decorated = container.querySelector('[data-aem-assets]');
+    container.append(decorated);
+    await flush();
+    decorateExternalImages(container);
+    expect(container.querySelectorAll('img')).toHaveLength(1);
+    expect(container.querySelector('[data-aem-assets]')).toBe(decorated);
+  });
+
+  it('should stop decorating once disconnected', async () => {
+    disconnect();
+    const fragment = document.createElement('div');
+    fragment.innerHTML = `<p><a href="${DM_SRC}">hero</a></p>`;
+    document.querySelector('main > div').append(fragment);
+    await flush();
+    expect(fragment.querySelector('picture')).toBeNull();
+  });
+});
+
+describe('server side rendering', () => {
+  const DM_SRC = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg';
+  const smartCrops = {
+    Small: { minWidth: 0, maxWidth: 767, aspectRatio: '1:1' },
+    Large: { minWidth: 768, maxWidth: 9999 },
+  };
+
+  afterEach(() => {
+    document.head.innerHTML = '';
+  });
+
+  it('should render the same markup as the DOM functions', () => {
+    const alt = 'Tom & "Jerry"';
+    const S7_SRC = 'https://s7ap1.scene7.com/is/image/varuncloudready/hero?$Hero$';
+    const IMG_SRC = 'https://example.com/hero.jpg';
+    const dmOptions = { smartCrops, lqip: true, dimensions: { width: 1600, height: 900 } };
+    const s7Options = { formats: ['webp', 'jpeg'], lqip: true };
+    const pairs = [
+      [
+        createOptimizedPictureForDMOpenAPI(DM_SRC, alt, true, false, undefined, dmOptions),
+        describeOptimizedPictureForDMOpenAPI(DM_SRC, alt, true, false, undefined, dmOptions),
+      ],
+      [
+        createOptimizedPictureForDM(S7_SRC, alt, true, undefined, s7Options),
+        describeOptimizedPictureForDM(S7_SRC, alt, true, undefined, s7Options),
+      ],
+      [
+        createOptimizedPictureWithSmartcrop(IMG_SRC, alt, false, [], { smartCrops }),
+        describeOptimizedPictureWithSmartcrop(IMG_SRC, alt, false, [], { smartCrops }),
+      ],
+      [createOptimizedPicture(IMG_SRC, alt), describeOptimizedPicture(IMG_SRC, alt)],
+    ];
+    pairs.forEach(([picture, description]) => {
+      expect(picture.outerHTML).toBe(renderPictureHTML(description));
+    });
+  });
+
+  it('should attach the behaviors to server rendered pictures', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderPictureHTML(describeOptimizedPictureForDMOpenAPI(DM_SRC, '', true, false, undefined, { smartCrops }));
+    const picture = attachPictureBehaviors(container.querySelector('picture'));
+    picture.querySelector('img').dispatchEvent(new Event('error'));
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('fallback');
+  });
+
+  const renderLoadedPicture = (naturalWidth, options) => {
+    const container = document.createElement('div');
+    container.innerHTML = renderPictureHTML(describeOptimizedPictureForDMOpenAPI(DM_SRC, '', true, false, undefined, options));
+    const img = container.querySelector('img');
+    Object.defineProperty(img, 'complete', { value: true });
+    Object.defineProperty(img, 'naturalWidth', { value: naturalWidth });
+    return container.querySelector('picture');
+  };
+
+  it('should show pictures which loaded before the behaviors were attached', () => {
+    const picture = attachPictureBehaviors(renderLoadedPicture(750, { smartCrops, lqip: true }));
+    expect(picture.getAttribute('data-lqip-status')).toBe('loaded');
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('loaded');
+  });
+
+  it('should fall back for pictures which failed before the behaviors were attached', () => {
+    const picture = attachPictureBehaviors(renderLoadedPicture(0, { smartCrops }));
+    expect(picture.getAttribute('data-smartcrop-status')).toBe('fallback');
+  });
+});
+
+describe('external videos', () => {
+  const DM_ORIGIN = 'https://delivery-p66302-e574366.adobeaemcloud.com';
+  const VIDEO_SRC = `${DM_ORIGIN}/adobe/assets/urn:aaid:aem:5678/play`;
+  const observed = [];
+
+  beforeEach(() => {
+    window.IntersectionObserver = class {
+      constructor(callback) { this.callback = callback; }
+
+      observe(element) { this.element = element; observed.push(element); }
+
+      disconnect() { this.disconnected = true; }
+    };
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [[`${DM_ORIGIN}/`, createOptimizedPictureForDMOpenAPI]],
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+    delete window.hlx;
+    observed.length = 0;
+    document.body.innerHTML = '';
+  });
+
+  it('should embed video links as lazily loaded video blocks', () => {
+    document.body.innerHTML = `<main><div class="autoplay poster-before">
+      <p><a href="${DM_ORIGIN}/adobe/assets/urn:aaid:aem:1234/as/poster.avif">poster</a></p>
+      <p><a href="${VIDEO_SRC}">${VIDEO_SRC}</a></p>
+    </div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+
+    const block = document.querySelector('main .video.inline.block');
+    expect(block.dataset.blockName).toBe('video');
+    expect(block.classList.contains('autoplay')).toBe(true);
+    expect(block.querySelector(':scope > div > div > picture')).not.toBeNull();
+    expect(block.querySelector(':scope > div > div > a').getAttribute('href')).toBe(VIDEO_SRC);
+    // the poster paragraph and the link paragraph are gone
+    expect(document.querySelectorAll('main p')).toHaveLength(0);
+    expect(observed).toEqual([block]);
+  });
+
+  it('should leave the picture before the link without the poster-before style', () => {
+    document.body.innerHTML = `<main><div>
+      <p><a href="${DM_ORIGIN}/adobe/assets/urn:aaid:aem:1234/as/hero.avif">hero</a></p>
+      <p><a href="${VIDEO_SRC}">${VIDEO_SRC}</a></p>
+    </div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+
+    expect(document.querySelector('main .video picture')).toBeNull();
+    expect(document.querySelector('main > div > p > picture')).not.toBeNull();
+  });
+
+  it('should not embed links in video blocks', () => {
+    document.body.innerHTML = `<main><div class="video hero"><div><div><a href="${VIDEO_SRC}">video</a></div></div></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+    expect(document.querySelector('main .video.hero a').getAttribute('href')).toBe(VIDEO_SRC);
+    expect(document.querySelector('[data-block-name="video"]')).toBeNull();
+  });
+
+  it('should use the handlers registered for videos', () => {
+    const handler = jest.fn(() => document.createElement('video'));
+    registerAssetHandler({
+      id: 'dm-video', match: `${DM_ORIGIN}/`, handler, assetTypes: ['video'],
+    });
+    document.body.innerHTML = `<main><div><p><a href="${VIDEO_SRC}" title="Teaser">Teaser</a></p></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+    unregisterAssetHandler('dm-video');
+
+    expect(handler).toHaveBeenCalledWith(VIDEO_SRC, 'Teaser', false, expect.objectContaining({ autoplay: false }));
+    expect(document.querySelector('main video').getAttribute('data-aem-assets')).toBe('decorated');
+  });
+
+  it('should load the block with the configured loader', () => {
+    // without IntersectionObserver, the block is loaded right away
+    delete window.IntersectionObserver;
+    const blockLoader = jest.fn();
+    const block = createVideoPlayerForDMOpenAPI(VIDEO_SRC, 'Teaser', { loadBlock: blockLoader });
+    expect(blockLoader).toHaveBeenCalledWith(block);
+
+    window.hlx.aemassets.loadBlock = jest.fn();
+    const otherBlock = createVideoPlayerForDMOpenAPI(VIDEO_SRC, 'Teaser');
+    expect(window.hlx.aemassets.loadBlock).toHaveBeenCalledWith(otherBlock);
+  });
+
+  it('should honour the no-poster style', () => {
+    const poster = document.createElement('picture');
+    const block = createVideoPlayerForDMOpenAPI(VIDEO_SRC, 'Teaser', { poster });
+    expect(block.querySelector('picture')).toBe(poster);
+    document.body.innerHTML = `<main><div class="no-poster"><p><picture></picture><a href="${VIDEO_SRC}">video</a></p></div></main>`;
+    decorateExternalImages(document.querySelector('main'));
+    expect(document.querySelector('main .video picture')).toBeNull();
+  });
+});
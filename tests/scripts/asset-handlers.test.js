@@ -0,0 +1,92 @@
+/* eslint-env jest */
+import {
+  registerAssetHandler,
+  unregisterAssetHandler,
+  matchAssetHandler,
+  getAssetHandlers,
+} from '../../scripts/asset-handlers.js';
+
+const DM_URL = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif';
+const S7_URL = 'https://s7ap1.scene7.com/is/image/varuncloudready/hero';
+
+describe('asset handler registry', () => {
+  const dmHandler = () => {};
+  const s7Handler = () => {};
+
+  afterEach(() => {
+    getAssetHandlers().forEach(({ id }) => unregisterAssetHandler(id));
+    delete window.hlx;
+  });
+
+  it('should still accept externalImageUrlPrefixes tuples', () => {
+    window.hlx = {
+      aemassets: {
+        externalImageUrlPrefixes: [
+          ['https://delivery-p66302-e574366.adobeaemcloud.com/', dmHandler],
+          ['https://s7ap1.scene7.com/is/image/varuncloudready/', s7Handler],
+          ['invalid'],
+        ],
+      },
+    };
+    expect(matchAssetHandler(DM_URL).handler).toBe(dmHandler);
+    expect(matchAssetHandler(S7_URL).handler).toBe(s7Handler);
+    expect(matchAssetHandler('https://example.com/foo.jpg')).toBeNull();
+  });
+
+  it('should match by hostname pattern and path', () => {
+    registerAssetHandler({
+      match: { hostname: 'delivery-*.adobeaemcloud.com', path: '/adobe/assets/' },
+      handler: dmHandler,
+    });
+    expect(matchAssetHandler(DM_URL).handler).toBe(dmHandler);
+    expect(matchAssetHandler('https://delivery-p1-e2.adobeaemcloud.com/content/dam/hero.jpg')).toBeNull();
+    expect(matchAssetHandler('https://evil.com/delivery-p1.adobeaemcloud.com/adobe/assets/')).toBeNull();
+  });
+
+  it('should match by RegExp and predicate', () => {
+    registerAssetHandler({ match: /\/is\/image\//, handler: s7Handler });
+    registerAssetHandler({ match: (src, url) => url.pathname.endsWith('.avif'), handler: dmHandler });
+    expect(matchAssetHandler(S7_URL).handler).toBe(s7Handler);
+    expect(matchAssetHandler(DM_URL).handler).toBe(dmHandler);
+  });
+
+  it('should match higher priorities first', () => {
+    window.hlx = { aemassets: { externalImageUrlPrefixes: [['https://delivery-', s7Handler]] } };
+    registerAssetHandler({ match: 'https://', handler: s7Handler });
+    registerAssetHandler({ match: 'https://delivery-', handler: dmHandler, priority: 10 });
+    expect(matchAssetHandler(DM_URL).handler).toBe(dmHandler);
+  });
+
+  it('should filter by asset type', () => {
+    registerAssetHandler({ match: 'https://delivery-', handler: dmHandler, assetTypes: ['video'] });
+    expect(matchAssetHandler(DM_URL)).toBeNull();
+    expect(matchAssetHandler(DM_URL, { assetType: 'video' }).handler).toBe(dmHandler);
+  });
+
+  it('should expose the handler options', () => {
+    registerAssetHandler({ match: 'https://delivery-', handler: dmHandler, options: { quality: 80 } });
+    expect(matchAssetHandler(DM_URL).options).toEqual({ quality: 80 });
+  });
+
+  it('should unregister by id or by handler', () => {
+    const id = registerAssetHandler({ id: 'dm', match: 'https://delivery-', handler: dmHandler });
+    expect(id).toBe('dm');
+    registerAssetHandler({ match: /scene7/, handler: s7Handler });
+    expect(unregisterAssetHandler('dm')).toBe(true);
+    expect(unregisterAssetHandler(s7Handler)).toBe(true);
+    expect(unregisterAssetHandler('dm')).toBe(false);
+    expect(getAssetHandlers()).toHaveLength(0);
+  });
+
+  it('should replace a handler registered with the same id', () => {
+    registerAssetHandler({ id: 'dm', match: 'https://delivery-', handler: s7Handler });
+    registerAssetHandler({ id: 'dm', match: 'https://delivery-', handler: dmHandler });
+    expect(getAssetHandlers()).toHaveLength(1);
+    expect(matchAssetHandler(DM_URL).handler).toBe(dmHandler);
+  });
+
+  it('should reject invalid definitions', () => {
+    expect(() => registerAssetHandler({ match: 'https://' })).toThrow(TypeError);
+    expect(() => registerAssetHandler({ match: 42, handler: dmHandler })).toThrow(TypeError);
+  });
+});
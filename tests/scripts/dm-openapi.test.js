@@ -0,0 +1,170 @@
+/* eslint-env jest */
+import {
+  isDMOpenAPIUrl,
+  parseDMOpenAPIUrl,
+  buildDMOpenAPIUrl,
+  toDMOpenAPIRendition,
+  getDMOpenAPIAssetExtension,
+  isDMOpenAPIVideoUrl,
+  getDMOpenAPIVideoPosterUrl,
+  filterDMOpenAPIParams,
+} from '../../scripts/dm-openapi.js';
+
+const ORIGIN = 'https://delivery-p66302-e574366.adobeaemcloud.com';
+const ASSET_ID = 'urn:aaid:aem:9ead338d-4ac8-483a-a1cd-a3c7dfe9f437';
+
+describe('isDMOpenAPIUrl', () => {
+  it('should match DM OpenAPI delivery URLs', () => {
+    expect(isDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif`)).toBe(true);
+    expect(isDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/original/as/hero.png`)).toBe(true);
+  });
+
+  it('should not match other URLs', () => {
+    expect(isDMOpenAPIUrl('https://s7ap1.scene7.com/is/image/varuncloudready/hero')).toBe(false);
+    expect(isDMOpenAPIUrl('/adobe/assets/urn:aaid:aem:1234/as/hero.avif')).toBe(false);
+    expect(isDMOpenAPIUrl(null)).toBe(false);
+  });
+
+  it('should give the same answer when called repeatedly', () => {
+    const url = `${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif`;
+    expect([isDMOpenAPIUrl(url), isDMOpenAPIUrl(url)]).toEqual([true, true]);
+  });
+});
+
+describe('parseDMOpenAPIUrl', () => {
+  it('should parse web rendition URLs', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif?assetname=hero.png&width=750&smartcrop=Large&foo=bar`);
+    expect(parsed).toMatchObject({
+      origin: ORIGIN,
+      host: 'delivery-p66302-e574366.adobeaemcloud.com',
+      assetId: ASSET_ID,
+      mode: 'as',
+      resource: null,
+      seoName: 'hero',
+      format: 'avif',
+      assetname: 'hero.png',
+      params: { width: '750', smartcrop: 'Large' },
+    });
+    expect(parsed.searchParams.toString()).toBe('foo=bar');
+  });
+
+  it('should parse original URLs', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/original/as/article_01_hero.png`);
+    expect(parsed).toMatchObject({ mode: 'original', seoName: 'article_01_hero', format: 'png' });
+  });
+
+  it('should keep other endpoints as resource', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/play`);
+    expect(parsed).toMatchObject({ mode: null, resource: 'play' });
+  });
+
+  it('should return null for non DM OpenAPI URLs', () => {
+    expect(parseDMOpenAPIUrl('https://example.com/foo.jpg')).toBeNull();
+    expect(parseDMOpenAPIUrl('not a url')).toBeNull();
+  });
+});
+
+describe('buildDMOpenAPIUrl', () => {
+  it('should round trip a parsed URL', () => {
+    const url = `${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif?assetname=hero.png&width=750&quality=80&foo=bar`;
+    expect(buildDMOpenAPIUrl(parseDMOpenAPIUrl(url))).toBe(url);
+  });
+
+  it('should serialize rendition params in a stable order', () => {
+    const url = buildDMOpenAPIUrl({
+      origin: ORIGIN,
+      assetId: ASSET_ID,
+      mode: 'as',
+      seoName: 'hero',
+      format: 'webp',
+      params: { smartcrop: 'Small', rotate: 90, width: 750 },
+    });
+    expect(url).toBe(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.webp?width=750&rotate=90&smartcrop=Small`);
+  });
+
+  it('should reject invalid params', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif`);
+    expect(() => buildDMOpenAPIUrl({ ...parsed, params: { width: 'abc' } })).toThrow(RangeError);
+    expect(() => buildDMOpenAPIUrl({ ...parsed, params: { quality: 101 } })).toThrow(RangeError);
+    expect(() => buildDMOpenAPIUrl({ ...parsed, params: { rotate: 45 } })).toThrow(RangeError);
+    expect(() => buildDMOpenAPIUrl({ ...parsed, params: { flip: 'x' } })).toThrow(TypeError);
+    expect(() => buildDMOpenAPIUrl({ ...parsed, params: { crop: '10,10' } })).toThrow(TypeError);
+    expect(() => buildDMOpenAPIUrl({ ...parsed, format: 'svg' })).toThrow(TypeError);
+  });
+
+  it('should require an asset URN', () => {
+    expect(() => buildDMOpenAPIUrl({ origin: ORIGIN, assetId: 'foo' })).toThrow(TypeError);
+  });
+});
+
+describe('toDMOpenAPIRendition', () => {
+  it('should convert original URLs to avif renditions', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/original/as/article_01_hero.png`);
+    expect(buildDMOpenAPIUrl(toDMOpenAPIRendition(parsed)))
+      .toBe(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/article_01_hero.avif?assetname=article_01_hero.png`);
+  });
+
+  it('should set and remove params without changing the source object', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif?width=2000&smartcrop=Large`);
+    const rendition = toDMOpenAPIRendition(parsed, { format: 'webp', width: 750, smartcrop: null });
+    expect(buildDMOpenAPIUrl(rendition)).toBe(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.webp?width=750`);
+    expect(parsed.params).toEqual({ width: '2000', smartcrop: 'Large' });
+  });
+});
+
+describe('getDMOpenAPIAssetExtension', () => {
+  it('should prefer the assetname extension', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/logo.avif?assetname=logo.svg`);
+    expect(getDMOpenAPIAssetExtension(parsed)).toBe('svg');
+  });
+
+  it('should fall back to the requested format', () => {
+    const parsed = parseDMOpenAPIUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/original/as/hero.JPG`);
+    expect(getDMOpenAPIAssetExtension(parsed)).toBe('jpg');
+  });
+});
+
+describe('isDMOpenAPIVideoUrl', () => {
+  it('should match the play endpoint and streaming manifests', () => {
+    expect(isDMOpenAPIVideoUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/play`)).toBe(true);
+    expect(isDMOpenAPIVideoUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/manifest.mpd`)).toBe(true);
+    expect(isDMOpenAPIVideoUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/manifest.m3u8?foo=bar`)).toBe(true);
+  });
+
+  it('should not match image URLs', () => {
+    expect(isDMOpenAPIVideoUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif`)).toBe(false);
+    expect(isDMOpenAPIVideoUrl('https://example.com/play')).toBe(false);
+  });
+});
+
+describe('getDMOpenAPIVideoPosterUrl', () => {
+  it('should derive the poster rendition of the video asset', () => {
+    expect(getDMOpenAPIVideoPosterUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/manifest.mpd?foo=bar`, 'teaser'))
+      .toBe(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/teaser.jpg`);
+    expect(getDMOpenAPIVideoPosterUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/play`))
+      .toBe(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/poster.jpg`);
+  });
+
+  it('should derive the poster in another format', () => {
+    expect(getDMOpenAPIVideoPosterUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/play`, 'teaser', 'webp'))
+      .toBe(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/teaser.webp`);
+    expect(getDMOpenAPIVideoPosterUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/play`, 'teaser', 'tiff')).toBeNull();
+  });
+
+  it('should return null for other URLs', () => {
+    expect(getDMOpenAPIVideoPosterUrl(`${ORIGIN}/adobe/assets/${ASSET_ID}/as/hero.avif`)).toBeNull();
+  });
+});
+
+describe('filterDMOpenAPIParams', () => {
+  it('should drop invalid rendition params', () => {
+    expect(filterDMOpenAPIParams({
+      width: ' 750', rotate: '45', quality: 85.5, flip: 'x', crop: '0,0,50p,50p',
+    })).toEqual({ width: '750', crop: '0,0,50p,50p' });
+  });
+
+  it('should keep other keys and empty values', () => {
+    expect(filterDMOpenAPIParams({ format: 'webp', smartcrop: null, quality: undefined }))
+      .toEqual({ format: 'webp', smartcrop: null, quality: undefined });
+  });
+});
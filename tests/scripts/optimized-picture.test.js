@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import {
+  describeOptimizedPicture,
+  describeOptimizedPictureForDM,
+  describeOptimizedPictureForDMOpenAPI,
+  renderPictureHTML,
+} from '../../scripts/optimized-picture.js';
+
+const DM_SRC = 'https://delivery-p66302-e574366.adobeaemcloud.com/adobe/assets/urn:aaid:aem:1234/as/hero.avif?assetname=hero.jpg';
+
+describe('describeOptimizedPictureForDMOpenAPI', () => {
+  it('should describe the picture without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    const description = describeOptimizedPictureForDMOpenAPI(DM_SRC, 'Hero', false, true, [{ width: '750', widths: [] }]);
+    expect(description).toEqual({
+      tag: 'picture',
+      attributes: {},
+      children: [{
+        tag: 'source',
+        attributes: {
+          type: 'image/avif',
+          srcset: `${DM_SRC}&width=750 750w`,
+          sizes: '100vw',
+        },
+        children: [],
+      }, {
+        tag: 'img',
+        attributes: {
+          loading: 'eager',
+          alt: 'Hero',
+          srcset: `${DM_SRC}&width=750 750w`,
+          sizes: '100vw',
+          src: `${DM_SRC}&width=750`,
+        },
+        children: [],
+      }],
+    });
+    // the description is serializable
+    expect(JSON.parse(JSON.stringify(description))).toEqual(description);
+  });
+
+  it('should declare the smartcrop fallback and placeholder behaviors', () => {
+    const { attributes } = describeOptimizedPictureForDMOpenAPI(DM_SRC, '', true, false, undefined, {
+      smartCrops: { Small: { minWidth: 0, maxWidth: 767 } },
+      lqip: true,
+    });
+    expect(attributes).toEqual({
+      class: 'smartcrop lqip',
+      'data-smartcrop-status': 'loading',
+      style: `--lqip-image: url("${DM_SRC.replace('hero.avif', 'hero.jpg')}&width=32&quality=20");`,
+      'data-lqip-status': 'loading',
+    });
+  });
+});
+
+describe('describeOptimizedPictureForDMOpenAPI with invalid params', () => {
+  const getImg = (description) => description.children.find(({ tag }) => tag === 'img');
+
+  it('should leave out the invalid params of the authored URL', () => {
+    const description = describeOptimizedPictureForDMOpenAPI(`${DM_SRC}&rotate=45&quality=0&flip=x&width=300`, 'Hero');
+    expect(getImg(description).attributes.src).toBe(`${DM_SRC}&width=750`);
+  });
+
+  it('should leave out an invalid quality option', () => {
+    const description = describeOptimizedPictureForDMOpenAPI(DM_SRC, 'Hero', false, false, undefined, { quality: 85.5 });
+    expect(getImg(description).attributes.src).toBe(`${DM_SRC}&width=750`);
+  });
+
+  it('should use the authored URL if no rendition can be built from it', () => {
+    const src = DM_SRC.replace('hero.avif', 'hero.tiff');
+    const description = describeOptimizedPictureForDMOpenAPI(src, 'Hero');
+    expect(getImg(description).attributes.src).toBe(src);
+  });
+});
+
+describe('authored quality', () => {
+  const getImg = (description) => description.children.find(({ tag }) => tag === 'img');
+
+  it('should keep the authored quality of DM OpenAPI images', () => {
+    const description = describeOptimizedPictureForDMOpenAPI(`${DM_SRC}&quality=60`, 'Hero');
+    expect(getImg(description).attributes.src).toBe(`${DM_SRC}&width=750&quality=60`);
+  });
+
+  it('should override the authored quality with the quality option', () => {
+    const description = describeOptimizedPictureForDMOpenAPI(`${DM_SRC}&quality=60`, 'Hero', false, false, undefined, { quality: 85 });
+    expect(getImg(description).attributes.src).toBe(`${DM_SRC}&width=750&quality=85`);
+  });
+
+  it('should keep the authored qlt of Scene7 images', () => {
+    const description = describeOptimizedPictureForDM('https://s7ap1.scene7.com/is/image/varuncloudready/hero?qlt=85', 'Hero');
+    expect(getImg(description).attributes.src).toBe('https://s7ap1.scene7.com/is/image/varuncloudready/hero?wid=750&qlt=85');
+  });
+});
+
+describe('renderPictureHTML', () => {
+  it('should render the description as HTML', () => {
+    const html = renderPictureHTML(describeOptimizedPicture('https://example.com/hero.jpg', 'Tom & "Jerry"', false, [{ width: '750', densities: [1] }]));
+    expect(html).toBe('<picture>'
+      + '<source type="image/webp" srcset="https://example.com/hero.jpg?width=750&amp;format=webply 1x">'
+      + '<img loading="lazy" alt="Tom &amp; &quot;Jerry&quot;" srcset="https://example.com/hero.jpg?width=750&amp;format=jpg 1x" src="https://example.com/hero.jpg?width=750&amp;format=jpg">'
+      + '</picture>');
+  });
+
+  it('should render Scene7 pictures', () => {
+    const html = renderPictureHTML(describeOptimizedPictureForDM('https://s7ap1.scene7.com/is/image/varuncloudready/hero', '', false, [{ width: '750', densities: [1] }]));
+    expect(html).toContain('srcset="https://s7ap1.scene7.com/is/image/varuncloudready/hero?wid=750&amp;fmt=jpeg 1x"');
+  });
+});
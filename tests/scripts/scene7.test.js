@@ -0,0 +1,51 @@
+/* eslint-env jest */
+import { isScene7Url, parseScene7Url, buildScene7Url } from '../../scripts/scene7.js';
+
+const ORIGIN = 'https://s7ap1.scene7.com';
+
+describe('isScene7Url', () => {
+  it('should match Scene7 image serving URLs', () => {
+    expect(isScene7Url(`${ORIGIN}/is/image/varuncloudready/hero`)).toBe(true);
+    expect(isScene7Url(`${ORIGIN}/is/content/varuncloudready/video.mp4`)).toBe(false);
+    expect(isScene7Url('https://example.com/hero.jpg')).toBe(false);
+  });
+});
+
+describe('parseScene7Url', () => {
+  it('should parse the asset, smart crop, preset and params', () => {
+    const parsed = parseScene7Url(`${ORIGIN}/is/image/varuncloudready/hero:Small?$Hero$&wid=750&fmt=webp&op_sharpen=1`);
+    expect(parsed).toMatchObject({
+      origin: ORIGIN,
+      assetPath: 'varuncloudready/hero',
+      smartcrop: 'Small',
+      preset: 'Hero',
+      params: { wid: '750', fmt: 'webp' },
+    });
+    expect(parsed.searchParams.toString()).toBe('op_sharpen=1');
+  });
+
+  it('should return null for other URLs', () => {
+    expect(parseScene7Url('https://example.com/hero.jpg')).toBeNull();
+  });
+});
+
+describe('buildScene7Url', () => {
+  it('should render the preset first and keep commas', () => {
+    expect(buildScene7Url({
+      origin: ORIGIN,
+      assetPath: 'varuncloudready/hero',
+      smartcrop: 'Large',
+      preset: 'Hero',
+      params: { resMode: 'sharp2', qlt: '85,1', wid: 2000 },
+    })).toBe(`${ORIGIN}/is/image/varuncloudready/hero:Large?$Hero$&wid=2000&qlt=85,1&resMode=sharp2`);
+  });
+
+  it('should round trip a parsed URL', () => {
+    const url = `${ORIGIN}/is/image/varuncloudready/hero?$Hero$&wid=750&op_sharpen=1`;
+    expect(buildScene7Url(parseScene7Url(url))).toBe(url);
+  });
+
+  it('should require an asset path', () => {
+    expect(() => buildScene7Url({ origin: ORIGIN })).toThrow(TypeError);
+  });
+});